@@ -1,3 +1,5 @@
+import User from '../models/User.js';
+
 /**
  * Authentication Middleware
  * 
@@ -5,6 +7,9 @@
  * and managing user authentication state.
  */
 
+// Roles allowed into the /admin area
+export const ADMIN_AREA_ROLES = ['staff', 'admin'];
+
 /**
  * Middleware to require authentication
  * Redirects to login page if user is not authenticated
@@ -20,6 +25,45 @@ export function requireAuth(req, res, next) {
   res.redirect('/auth/login');
 }
 
+/**
+ * Middleware factory to require one of the given roles
+ * The role is re-read from the database so promotions and demotions apply immediately.
+ * Redirects guests to login; signed-in users without the role get a 403 page.
+ * @param {...string} roles - Allowed roles, e.g. requireRole('staff', 'admin')
+ */
+export function requireRole(...roles) {
+  return async function(req, res, next) {
+    if (!req.session || !req.session.userId) {
+      req.session.returnTo = req.originalUrl;
+      return res.redirect('/auth/login');
+    }
+    
+    try {
+      const user = await User.findById(req.session.userId, { role: 1 }).lean();
+      const role = user ? user.role : null;
+      
+      // Keep the session copy fresh for the header links
+      req.session.userRole = role;
+      req.userRole = role;
+      res.locals.userRole = role;
+      res.locals.isAdmin = role === 'admin';
+      res.locals.canAccessAdmin = ADMIN_AREA_ROLES.includes(role);
+      
+      if (roles.includes(role)) {
+        return next();
+      }
+      
+      console.log(`[Auth] Access denied to ${req.originalUrl} for role ${role}`);
+      res.status(403).render('error', {
+        title: '403 - Forbidden',
+        message: 'You do not have permission to access this page.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
 /**
  * Middleware to require guest (not logged in)
  * Redirects to home if user is already authenticated
@@ -40,6 +84,9 @@ export function attachUserInfo(req, res, next) {
   res.locals.isAuthenticated = !!(req.session && req.session.userId);
   res.locals.userId = req.session?.userId || null;
   res.locals.userEmail = req.session?.userEmail || null;
+  res.locals.userRole = req.session?.userRole || null;
+  res.locals.isAdmin = res.locals.userRole === 'admin';
+  res.locals.canAccessAdmin = ADMIN_AREA_ROLES.includes(res.locals.userRole);
   
   next();
 }
@@ -63,6 +110,7 @@ export function getChatUserId(req) {
 
 export default {
   requireAuth,
+  requireRole,
   requireGuest,
   attachUserInfo,
   getChatUserId
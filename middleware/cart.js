@@ -0,0 +1,32 @@
+import Cart from '../models/Cart.js';
+
+/**
+ * Cart Middleware
+ *
+ * Exposes the cart item count to views for the header badge.
+ */
+
+/**
+ * Middleware to attach the cart item count to res.locals
+ * Reads the existing session ids only, so visitors without a cart don't get a session created
+ */
+export async function attachCartCount(req, res, next) {
+  res.locals.cartCount = 0;
+
+  const cartUserId = req.session?.userId || req.session?.guestChatId;
+  if (!cartUserId) {
+    return next();
+  }
+
+  try {
+    res.locals.cartCount = await Cart.countItems(cartUserId);
+  } catch (error) {
+    console.error('[Cart] Failed to count cart items:', error.message);
+  }
+
+  next();
+}
+
+export default {
+  attachCartCount
+};
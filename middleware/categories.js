@@ -0,0 +1,33 @@
+import Category from '../models/Category.js';
+
+/**
+ * Categories Middleware
+ *
+ * Exposes the product categories to views: the list for menus and the home
+ * page, and slug lookups so badges can show a category's name and swatch.
+ */
+
+/**
+ * Middleware to attach the categories to res.locals
+ * Sets categories, categoryNames (slug -> name) and categorySwatches (slug -> swatch)
+ */
+export async function attachCategories(req, res, next) {
+  res.locals.categories = [];
+  res.locals.categoryNames = {};
+  res.locals.categorySwatches = {};
+
+  try {
+    const categories = await Category.listAll();
+    res.locals.categories = categories;
+    res.locals.categoryNames = Object.fromEntries(categories.map(c => [c.slug, c.name]));
+    res.locals.categorySwatches = Object.fromEntries(categories.map(c => [c.slug, c.swatch]));
+  } catch (error) {
+    console.error('[Category] Failed to load categories:', error.message);
+  }
+
+  next();
+}
+
+export default {
+  attachCategories
+};
@@ -0,0 +1,35 @@
+import Wishlist from '../models/Wishlist.js';
+
+/**
+ * Wishlist Middleware
+ *
+ * Exposes the saved product ids to views, for the header count and the
+ * wishlist toggles on product cards.
+ */
+
+/**
+ * Middleware to attach the wishlist product ids and count to res.locals
+ * Reads the existing session ids only, so visitors without a wishlist don't get a session created
+ */
+export async function attachWishlist(req, res, next) {
+  res.locals.wishlistIds = [];
+  res.locals.wishlistCount = 0;
+
+  const wishlistUserId = req.session?.userId || req.session?.guestChatId;
+  if (!wishlistUserId) {
+    return next();
+  }
+
+  try {
+    res.locals.wishlistIds = await Wishlist.productIds(wishlistUserId);
+    res.locals.wishlistCount = res.locals.wishlistIds.length;
+  } catch (error) {
+    console.error('[Wishlist] Failed to load wishlist:', error.message);
+  }
+
+  next();
+}
+
+export default {
+  attachWishlist
+};
@@ -0,0 +1,266 @@
+import mongoose from 'mongoose';
+import Product, { findVariant, variantLabel, itemWeight } from './Product.js';
+import { toCentimes, toDh } from '../services/money.js';
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Chosen variant for products that have them
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: String,  // Same id as getChatUserId(): ObjectId string or "guest_123..."
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field on save
+cartSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static method to get or create the cart for a user
+cartSchema.statics.getOrCreate = async function(userId) {
+  let cart = await this.findOne({ userId });
+  if (!cart) {
+    cart = await this.create({ userId, items: [] });
+  }
+  return cart;
+};
+
+/**
+ * Build an error carrying an HTTP status for the caller to surface
+ */
+function cartError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Work out which variant a cart line is for and how many can be bought
+ * Products with variants need a valid variant; products without ignore it.
+ * @param {Object} product - Product document or plain object
+ * @param {string|null} variantId - Variant chosen for the line
+ * @returns {Object|null} - { variant, available, label, unitPrice }, or null if the variant is missing
+ */
+function resolveLine(product, variantId) {
+  if (product.variants && product.variants.length > 0) {
+    const variant = findVariant(product, variantId);
+    if (!variant) {
+      return null;
+    }
+    return {
+      variant,
+      available: variant.stockCount,
+      label: `${product.name} (${variantLabel(variant)})`,
+      unitPrice: variant.price
+    };
+  }
+
+  return { variant: null, available: product.stockCount, label: product.name, unitPrice: product.price };
+}
+
+// Static method to add a product (or one of its variants) to a user's cart, checking it against current stock.
+// Throws an error with a status (404 unknown product, 400 variant not chosen, 409 not enough stock).
+cartSchema.statics.addProduct = async function(userId, productId, quantity = 1, variantId = null) {
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) {
+    throw cartError('Product not found', 404);
+  }
+
+  const line = resolveLine(product, variantId);
+  if (!line) {
+    throw cartError(`Please choose a size for ${product.name}`, 400);
+  }
+  if (line.available <= 0) {
+    throw cartError(`${line.label} is out of stock`, 409);
+  }
+
+  const cart = await this.getOrCreate(userId);
+  const existing = cart.findItem(product._id, line.variant?._id);
+  const wanted = (existing ? existing.quantity : 0) + quantity;
+
+  if (wanted > line.available) {
+    throw cartError(`Only ${line.available} of ${line.label} available`, 409);
+  }
+
+  await cart.setQuantity(product._id, wanted, line.variant?._id);
+  console.log(`[Cart] ${userId} added ${quantity} x ${line.label}`);
+
+  return { cart, product, variant: line.variant, label: line.label, quantity: wanted };
+};
+
+// Static method to count items (sum of quantities) without loading products
+cartSchema.statics.countItems = async function(userId) {
+  const cart = await this.findOne({ userId }, { 'items.quantity': 1 }).lean();
+  if (!cart) {
+    return 0;
+  }
+  return cart.items.reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Static method to load a cart with products - returns plain objects for Handlebars.
+// Lines whose product or variant was deleted (or that predate the product getting variants)
+// are dropped; lines above current stock are flagged.
+cartSchema.statics.getDetails = async function(userId) {
+  const cart = await this.findOne({ userId }).populate('items.product').lean();
+
+  const items = (cart ? cart.items : [])
+    .filter(item => item.product)
+    .map(item => {
+      const line = resolveLine(item.product, item.variant);
+      if (!line) {
+        return null;
+      }
+
+      const product = {
+        ...item.product,
+        inStock: item.product.stockCount > 0
+      };
+      const variant = line.variant ? { ...line.variant, label: variantLabel(line.variant) } : null;
+
+      return {
+        product,
+        variant,
+        name: line.label,
+        imageUrl: variant?.imageUrl || product.imageUrl,
+        quantity: item.quantity,
+        unitPrice: line.unitPrice,
+        available: line.available,
+        lineTotal: toDh(toCentimes(line.unitPrice) * item.quantity),
+        weight: itemWeight(item.product, line.variant) * item.quantity,
+        exceedsStock: item.quantity > line.available
+      };
+    })
+    .filter(Boolean);
+
+  const subtotal = items.reduce((sum, item) => sum + toCentimes(item.lineTotal), 0);
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: toDh(subtotal),
+    weight: items.reduce((sum, item) => sum + item.weight, 0),
+    hasStockIssues: items.some(item => item.exceedsStock)
+  };
+};
+
+// Static method to move a guest cart into a user's cart after sign-in.
+// Quantities of products (or variants) present in both carts are added together, capped at current stock.
+cartSchema.statics.mergeGuestCart = async function(guestId, userId) {
+  if (!guestId || guestId === userId) {
+    return null;
+  }
+
+  const guestCart = await this.findOne({ userId: guestId }).populate('items.product');
+  if (!guestCart) {
+    return null;
+  }
+
+  const userCart = await this.getOrCreate(userId);
+
+  for (const guestItem of guestCart.items) {
+    const product = guestItem.product;
+    if (!product) {
+      continue; // Product was deleted since it was added
+    }
+
+    const line = resolveLine(product, guestItem.variant);
+    if (!line) {
+      continue; // Variant was deleted since it was added
+    }
+
+    const existing = userCart.findItem(product._id, guestItem.variant);
+    const wanted = (existing ? existing.quantity : 0) + guestItem.quantity;
+    const quantity = Math.min(wanted, line.available);
+
+    if (quantity <= 0) {
+      continue;
+    }
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      userCart.items.push({ product: product._id, variant: guestItem.variant, quantity, addedAt: guestItem.addedAt });
+    }
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  console.log(`[Cart] Merged guest cart ${guestId} into ${userId}`);
+  return userCart;
+};
+
+// Instance method to find the line for a product (and variant - each variant is its own line)
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  const wantedVariant = variantId ? variantId.toString() : null;
+
+  return this.items.find(item => {
+    const id = item.product._id || item.product;
+    const variant = item.variant ? item.variant.toString() : null;
+    return id.toString() === productId.toString() && variant === wantedVariant;
+  });
+};
+
+// Instance method to set the quantity of a product or variant (0 removes it)
+cartSchema.methods.setQuantity = async function(productId, quantity, variantId = null) {
+  const item = this.findItem(productId, variantId);
+
+  if (quantity <= 0) {
+    if (item) {
+      item.deleteOne();
+    }
+  } else if (item) {
+    item.quantity = quantity;
+  } else {
+    this.items.push({ product: productId, variant: variantId || null, quantity, addedAt: new Date() });
+  }
+
+  await this.save();
+  return this;
+};
+
+// Instance method to remove a product or variant
+cartSchema.methods.removeItem = async function(productId, variantId = null) {
+  return this.setQuantity(productId, 0, variantId);
+};
+
+// Instance method to total the number of items
+cartSchema.methods.itemCount = function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+/**
+ * Product categories, managed from the admin. This is the single list of
+ * "colors" the shop sells: catalog filters, the home page, the product form
+ * and the chat assistant all read it from here. Products reference a
+ * category by slug in their `color` field.
+ */
+
+// A CSS color or gradient: hex, a color keyword, rgb()/hsl(), or a *-gradient() of those.
+// Restricted so admin input can be dropped into a style attribute safely.
+const SWATCH_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|rgba|hsl|hsla)\([0-9.,%\s]+\)|(linear|radial|conic)-gradient\([a-z0-9#.,%()\s-]+\))$/i;
+
+// How long the category list is cached in memory; saves and deletes clear it
+const CACHE_TTL_MS = 60 * 1000;
+
+// Categories created on first start, matching the colors the shop launched with
+const DEFAULT_CATEGORIES = [
+  { name: 'Red', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #f87171 60%, #dc2626 100%)', description: 'Bold and fiery marbles' },
+  { name: 'Blue', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #60a5fa 60%, #2563eb 100%)', description: 'Ocean-inspired beauty' },
+  { name: 'Green', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #4ade80 60%, #16a34a 100%)', description: "Nature's elegance" },
+  { name: 'Yellow', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #facc15 60%, #ca8a04 100%)', description: 'Sunny and bright' },
+  { name: 'Orange', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #fb923c 60%, #ea580c 100%)', description: 'Warm as a sunset' },
+  { name: 'Purple', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #a78bfa 60%, #7c3aed 100%)', description: 'Royal and majestic' },
+  { name: 'Pink', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #f472b6 60%, #db2777 100%)', description: 'Soft and playful' },
+  { name: 'White', swatch: 'radial-gradient(circle at 30% 30%, #fff 0%, #f1f5f9 60%, #cbd5e1 100%)', description: 'Pure and milky' },
+  { name: 'Black', swatch: 'radial-gradient(circle at 30% 30%, #9ca3af 0%, #374151 60%, #111827 100%)', description: 'Deep and mysterious' },
+  { name: 'Multicolor', swatch: 'conic-gradient(red, yellow, green, cyan, blue, magenta, red)', description: 'Rainbow swirl patterns' }
+];
+
+/**
+ * Turn a name into a URL slug, e.g. "Cat's Eye" -> "cats-eye"
+ * @param {string} text - Name
+ * @returns {string} - Slug
+ */
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs use lowercase letters, digits and dashes']
+  },
+  // Shown as the category's marble on the home page and as badges and swatches
+  swatch: {
+    type: String,
+    default: '#9fb39f',
+    trim: true,
+    match: [SWATCH_PATTERN, 'Use a CSS color or gradient, e.g. #ef4444 or linear-gradient(45deg, red, blue)']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 200
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Note: slug already has unique: true which creates an index
+
+// Fill in the slug from the name when it's left empty
+categorySchema.pre('validate', function(next) {
+  if (!this.slug) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+let cache = null;
+
+/**
+ * Forget the cached category list (after any change)
+ */
+function clearCache() {
+  cache = null;
+}
+
+categorySchema.post('save', clearCache);
+categorySchema.post('findOneAndDelete', clearCache);
+categorySchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// Static method to list categories in display order - returns plain objects, cached briefly
+// since the list is read on most pages and by every chat message.
+categorySchema.statics.listAll = async function() {
+  if (cache && cache.expires > Date.now()) {
+    return cache.categories;
+  }
+
+  const categories = await this.find().sort({ sortOrder: 1, name: 1 }).lean();
+  cache = { categories, expires: Date.now() + CACHE_TTL_MS };
+  return categories;
+};
+
+// Static method to list category slugs in display order
+categorySchema.statics.slugs = async function() {
+  const categories = await this.listAll();
+  return categories.map(c => c.slug);
+};
+
+// Static method to create the default categories when there are none yet
+categorySchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) {
+    return 0;
+  }
+
+  await this.insertMany(DEFAULT_CATEGORIES.map((category, index) => ({
+    ...category,
+    slug: slugify(category.name),
+    sortOrder: index
+  })));
+  clearCache();
+
+  console.log(`[Category] Created ${DEFAULT_CATEGORIES.length} default categories`);
+  return DEFAULT_CATEGORIES.length;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -1,4 +1,32 @@
 import mongoose from 'mongoose';
+import ConversationArchive from './ConversationArchive.js';
+
+// Messages kept on the conversation document; older summarized ones are archived
+const MAX_STORED_MESSAGES = 100;
+
+// Sent as the system turn of every request rather than stored, so prompt changes
+// reach existing threads too
+export const SYSTEM_PROMPT = 'You are a helpful marble shopping assistant for Lbinag. Help customers find the perfect marbles, answer questions about our products, and assist with their shopping experience. Be friendly, knowledgeable about marbles, and always try to help customers find what they need. Prices are in Moroccan Dirham (Dh).';
+
+// Shown for threads that have no title yet
+const DEFAULT_TITLE = 'New chat';
+
+export const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Build a thread title from the first message, cut at a word boundary
+ * @param {string} content - Message text
+ * @returns {string} - Title
+ */
+function generateTitle(content) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  if (text.length <= 40) {
+    return text;
+  }
+  const cut = text.substring(0, 40);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 20 ? cut.substring(0, lastSpace) : cut}…`;
+}
 
 const messageSchema = new mongoose.Schema({
   role: {
@@ -22,7 +50,33 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Threads are named after their first message until the user renames them
+  title: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: MAX_TITLE_LENGTH
+  },
+  // Archived threads are hidden from the active list but kept for reopening
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
   messages: [messageSchema],
+  // Rolling summary of the turns that no longer fit in the model's context window
+  summary: {
+    type: String,
+    default: ''
+  },
+  // Last message folded into the summary; everything after it is sent verbatim
+  summarizedUntil: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,29 +93,134 @@ conversationSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to get or create conversation for a user
+// Static method to get the user's most recent open thread, creating one if they have none
 conversationSchema.statics.getOrCreate = async function(userId) {
-  let conversation = await this.findOne({ userId });
-  if (!conversation) {
-    conversation = new this({
-      userId,
-      messages: [{
-        role: 'system',
-        content: 'You are a helpful marble shopping assistant for Lbinag. Help customers find the perfect marbles, answer questions about our products, and assist with their shopping experience. Be friendly, knowledgeable about marbles, and always try to help customers find what they need. We sell marbles in different colors: red, blue, green, yellow, orange, purple, pink, white, black, and multicolor. Prices are in Moroccan Dirham (Dh).'
-      }]
-    });
-    await conversation.save();
+  const conversation = await this.findOne({ userId, archived: false }).sort({ lastMessageAt: -1 });
+  return conversation || this.createThread(userId);
+};
+
+// Static method to start a new thread. An untouched open thread is reused so
+// repeated "new chat" clicks don't pile up empty threads.
+conversationSchema.statics.createThread = async function(userId) {
+  const empty = await this.findOne({ userId, archived: false, 'messages.role': { $ne: 'user' } });
+  if (empty) {
+    return empty;
+  }
+  
+  return this.create({ userId });
+};
+
+// Static method to find one of a user's threads (null for unknown or foreign ids)
+conversationSchema.statics.findThread = async function(userId, threadId) {
+  if (!mongoose.isValidObjectId(threadId)) {
+    return null;
+  }
+  return this.findOne({ _id: threadId, userId });
+};
+
+// Static method to list a user's threads, most recently active first, without their messages
+conversationSchema.statics.listThreads = async function(userId, { includeArchived = true } = {}) {
+  const filter = includeArchived ? { userId } : { userId, archived: false };
+  const threads = await this.find(filter, { title: 1, archived: 1, lastMessageAt: 1, createdAt: 1 })
+    .sort({ lastMessageAt: -1 })
+    .lean();
+  
+  return threads.map(thread => ({
+    id: thread._id.toString(),
+    title: thread.title || DEFAULT_TITLE,
+    archived: thread.archived,
+    lastMessageAt: thread.lastMessageAt
+  }));
+};
+
+// Static method to hand a guest's threads, and their archived messages, over to their account
+// after sign-in. Threads keep their ids, so a widget that was showing one carries on in it. Guest
+// threads the visitor never wrote in are dropped rather than cluttering the account's list.
+conversationSchema.statics.moveToUser = async function(guestId, userId) {
+  if (!guestId || guestId === userId) {
+    return 0;
+  }
+  
+  await this.deleteMany({ userId: guestId, 'messages.role': { $ne: 'user' } });
+  
+  const result = await this.updateMany({ userId: guestId }, { $set: { userId } });
+  await ConversationArchive.updateMany({ userId: guestId }, { $set: { userId } });
+  if (result.modifiedCount > 0) {
+    console.log(`[Conversation] Moved ${result.modifiedCount} guest threads from ${guestId} to ${userId}`);
   }
-  return conversation;
+  return result.modifiedCount;
+};
+
+// Instance method to describe the thread for the API
+conversationSchema.methods.toThread = function() {
+  return {
+    id: this._id.toString(),
+    title: this.title || DEFAULT_TITLE,
+    archived: this.archived,
+    lastMessageAt: this.lastMessageAt
+  };
 };
 
 // Instance method to add a message
 conversationSchema.methods.addMessage = async function(role, content) {
   this.messages.push({ role, content, timestamp: new Date() });
+  this.lastMessageAt = new Date();
+  
+  // Untitled threads are named after the customer's first message
+  if (role === 'user' && !this.title) {
+    this.title = generateTitle(content);
+  }
+  
   await this.save();
   return this.messages[this.messages.length - 1];
 };
 
+// Instance method to get the messages not yet folded into the summary (system message excluded)
+conversationSchema.methods.unsummarizedMessages = function() {
+  const history = this.messages.filter(m => m.role !== 'system');
+  if (!this.summarizedUntil) {
+    return history;
+  }
+  
+  // If the marker itself was archived, everything still stored comes after it
+  const index = history.findIndex(m => m._id.equals(this.summarizedUntil));
+  return history.slice(index + 1);
+};
+
+// Instance method to move summarized messages into the archive once the document grows past the cap.
+// Only summarized messages leave, so the model still sees their content through the summary.
+conversationSchema.methods.archiveOldMessages = async function(maxStored = MAX_STORED_MESSAGES) {
+  const excess = this.messages.length - maxStored;
+  if (excess <= 0 || !this.summarizedUntil) {
+    return 0;
+  }
+  
+  const cutoff = this.messages.findIndex(m => m._id.equals(this.summarizedUntil));
+  const toArchive = this.messages
+    .slice(0, cutoff + 1)
+    .filter(m => m.role !== 'system')
+    .slice(0, excess);
+  
+  if (toArchive.length === 0) {
+    return 0;
+  }
+  
+  await ConversationArchive.create({
+    conversationId: this._id,
+    userId: this.userId,
+    messages: toArchive.map(m => ({ role: m.role, content: m.content, timestamp: m.timestamp }))
+  });
+  
+  const archivedIds = new Set(toArchive.map(m => m._id.toString()));
+  this.messages = this.messages.filter(m => !archivedIds.has(m._id.toString()));
+  await this.save();
+  
+  console.log(`[Conversation] Archived ${toArchive.length} messages for user ${this.userId}`);
+  return toArchive.length;
+};
+
+conversationSchema.index({ userId: 1, archived: 1, lastMessageAt: -1 });
+
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
 export default Conversation;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Old chat messages moved out of a Conversation once they have been folded
+ * into its rolling summary, so conversation documents stay small.
+ */
+
+const archivedMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'assistant', 'system']
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date
+  }
+}, { _id: false });
+
+const conversationArchiveSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  messages: [archivedMessageSchema],
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ConversationArchive = mongoose.model('ConversationArchive', conversationArchiveSchema);
+
+export default ConversationArchive;
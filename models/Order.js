@@ -0,0 +1,477 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+import Cart from './Cart.js';
+import Promotion from './Promotion.js';
+import ShippingZone from './ShippingZone.js';
+import { checkoutTotals } from '../services/shipping.js';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled'];
+
+// How customers can pay: in cash to the courier, or by bank transfer before the order ships
+export const PAYMENT_METHODS = ['cash-on-delivery', 'bank-transfer'];
+
+// Allowed next statuses for each status. Pending orders can ship unpaid (cash on delivery);
+// delivered and cancelled are final.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'shipped', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant bought, for products that have them
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Name, variant details and price are snapshotted so later catalog edits don't change past orders
+  name: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  variantLabel: {
+    type: String,
+    default: ''
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price before a sale, when the item was bought on sale
+  listPrice: {
+    type: Number,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// A promotion taken off the order total; name and code are snapshotted like item details
+const discountSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  code: {
+    type: String,
+    default: ''
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Delivery charged on the order, snapshotted from its shipping zone
+const shippingChargeSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  deliveryTime: {
+    type: String,
+    default: ''
+  },
+  cost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  free: {
+    type: Boolean,
+    default: false
+  },
+  // Cash-on-delivery fee, 0 for prepaid orders
+  codFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Parcel weight in grams
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingAddressSchema = new mongoose.Schema({
+  fullName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  street: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  postalCode: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  country: {
+    type: String,
+    default: 'Morocco',
+    trim: true
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: ORDER_STATUSES
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,  // Same id as getChatUserId(): ObjectId string or "guest_123..."
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  shippingAddress: {
+    type: shippingAddressSchema,
+    required: true
+  },
+  // Totals in Moroccan Dirham (Dh)
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discounts: [discountSchema],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Null on orders placed before shipping was charged
+  shipping: {
+    type: shippingChargeSchema,
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'cash-on-delivery'
+  },
+  // TVA included in the total, and its rate in percent
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Goods after discounts, plus shipping and the cash-on-delivery fee
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  statusHistory: [statusChangeSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Note: orderNumber already has unique: true which creates an index
+
+// Update the updatedAt field on save
+orderSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/**
+ * Generate a human-friendly order number like LB-20250101-K3F9Q
+ */
+function generateOrderNumber() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).substr(2, 5).toUpperCase();
+  return `LB-${date}-${suffix}`;
+}
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function orderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Static method to count a customer's orders (other than cancelled ones) that used a promotion.
+// Customers are matched by visitor id or email, so signing out doesn't reset the count.
+orderSchema.statics.countPromotionUses = async function(promotionId, { userId, email }) {
+  const customer = [{ userId }];
+  if (email) {
+    customer.push({ email: email.toLowerCase() });
+  }
+  return this.countDocuments({
+    'discounts.promotion': promotionId,
+    status: { $ne: 'cancelled' },
+    $or: customer
+  });
+};
+
+// Static method to load a cart with sale prices, automatic offers and the entered code applied.
+// Promotions the customer has used as often as allowed are left out.
+orderSchema.statics.priceCart = async function(cartUserId, { code = '', email = '' } = {}) {
+  const cart = await Cart.getDetails(cartUserId);
+  let priced = await Promotion.priceCart(cart, { code });
+
+  const live = await Promotion.listLive();
+  const usedUp = [];
+  for (const discount of priced.discounts) {
+    const promotion = live.find(p => p._id.toString() === discount.promotion.toString());
+    if (promotion && promotion.maxUsesPerCustomer &&
+        await this.countPromotionUses(promotion._id, { userId: cartUserId, email }) >= promotion.maxUsesPerCustomer) {
+      usedUp.push(promotion);
+    }
+  }
+
+  if (usedUp.length > 0) {
+    priced = await Promotion.priceCart(cart, { code, exclude: usedUp.map(p => p._id) });
+    const usedCode = usedUp.find(p => p.code);
+    if (usedCode) {
+      priced.codeError = `You've already used the code ${usedCode.code} as many times as it allows`;
+    }
+  }
+
+  return priced;
+};
+
+// Static method to price a cart for checkout: promotions, then delivery to the address,
+// the cash-on-delivery fee and TVA. Without an address only TVA is added; shipping is null
+// then, and also when no zone delivers to the address.
+orderSchema.statics.priceCheckout = async function(cartUserId, { code = '', email = '', address = null, paymentMethod } = {}) {
+  const cart = await this.priceCart(cartUserId, { code, email });
+  const zone = address ? await ShippingZone.findForAddress(address) : null;
+  const totals = checkoutTotals(cart, zone, { paymentMethod: zone && zone.cashOnDelivery ? paymentMethod : 'bank-transfer' });
+  return { ...totals, cashOnDelivery: Boolean(zone && zone.cashOnDelivery) };
+};
+
+// Static method to turn a cart into an order, with its promotions, delivery and TVA applied.
+// Stock is reserved item by item and promotion uses are claimed; if anything runs out,
+// everything taken so far is put back.
+orderSchema.statics.createFromCart = async function(cartUserId, { email, shippingAddress, code = '', paymentMethod = 'cash-on-delivery' }) {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw orderError('Please choose how you want to pay');
+  }
+
+  const cart = await this.priceCheckout(cartUserId, { code, email, address: shippingAddress, paymentMethod });
+
+  if (cart.items.length === 0) {
+    throw orderError('Your cart is empty');
+  }
+  if (!cart.shipping) {
+    throw orderError(`Sorry, we don't deliver to ${shippingAddress.city}, ${shippingAddress.country || 'Morocco'} yet`);
+  }
+  if (paymentMethod === 'cash-on-delivery' && !cart.cashOnDelivery) {
+    throw orderError(`Cash on delivery isn't available for ${cart.shipping.name}, please pay by bank transfer`);
+  }
+  // The code was checked on the cart page; don't charge more than the customer expects
+  if (code && cart.codeError) {
+    throw orderError(cart.codeError, 409);
+  }
+
+  const reserved = [];
+  let claimed = [];
+  let order;
+
+  try {
+    for (const item of cart.items) {
+      const updated = await Product.reserveStock(item.product._id, item.quantity, item.variant?._id);
+      if (!updated) {
+        throw orderError(`Sorry, there isn't enough stock left for ${item.name}`, 409);
+      }
+      reserved.push(item);
+    }
+
+    claimed = await Promotion.claimUses(cart.discounts);
+
+    order = await this.create({
+      orderNumber: generateOrderNumber(),
+      userId: cartUserId,
+      email,
+      shippingAddress,
+      items: cart.items.map(item => ({
+        product: item.product._id,
+        variant: item.variant?._id || null,
+        name: item.product.name,
+        sku: item.variant?.sku || '',
+        variantLabel: item.variant?.label || '',
+        price: item.unitPrice,
+        listPrice: item.onSale ? item.listPrice : null,
+        quantity: item.quantity,
+        lineTotal: item.lineTotal
+      })),
+      subtotal: cart.subtotal,
+      discounts: cart.discounts,
+      discountTotal: cart.discountTotal,
+      shipping: cart.shipping,
+      paymentMethod,
+      taxRate: cart.taxRate,
+      taxTotal: cart.taxTotal,
+      total: cart.total,
+      statusHistory: [{ status: 'pending' }]
+    });
+
+  } catch (error) {
+    for (const item of reserved) {
+      await Product.releaseStock(item.product._id, item.quantity, item.variant?._id);
+    }
+    await Promotion.releaseUses(claimed);
+    throw error;
+  }
+
+  console.log(`[Order] Order ${order.orderNumber} placed by ${cartUserId}, total ${order.total} Dh`);
+
+  // The order stands once saved; a cart left behind is only an inconvenience
+  try {
+    await Cart.deleteOne({ userId: cartUserId });
+  } catch (error) {
+    console.error(`[Order] Could not empty the cart of ${cartUserId} after order ${order.orderNumber}:`, error.message);
+  }
+
+  return order;
+};
+
+// Static method to move an order to a new status.
+// The status is compared-and-set so two admins can't both cancel (and restock) the same order.
+orderSchema.statics.changeStatus = async function(orderId, newStatus) {
+  const order = await this.findById(orderId);
+  if (!order) {
+    throw orderError('Order not found', 404);
+  }
+
+  const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(newStatus)) {
+    throw orderError(`A ${order.status} order can't be marked as ${newStatus}`);
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { status: newStatus, updatedAt: new Date() },
+      $push: { statusHistory: { status: newStatus, changedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw orderError('The order was changed by someone else, please reload and try again', 409);
+  }
+
+  // Cancelled orders give their stock and promotion uses back
+  if (newStatus === 'cancelled') {
+    for (const item of updated.items) {
+      await Product.releaseStock(item.product, item.quantity, item.variant);
+    }
+    await Promotion.releaseUses(updated.discounts);
+    console.log(`[Order] Order ${updated.orderNumber} cancelled, stock restored`);
+  }
+
+  console.log(`[Order] Order ${updated.orderNumber}: ${order.status} -> ${newStatus}`);
+  return updated;
+};
+
+// Static method to hand a guest's orders over to their account after sign-in, so they
+// show in the order history and count as purchases for reviews
+orderSchema.statics.moveToUser = async function(guestId, userId) {
+  if (!guestId || guestId === userId) {
+    return 0;
+  }
+  
+  const result = await this.updateMany({ userId: guestId }, { $set: { userId } });
+  if (result.modifiedCount > 0) {
+    console.log(`[Order] Moved ${result.modifiedCount} guest orders from ${guestId} to ${userId}`);
+  }
+  return result.modifiedCount;
+};
+
+// Static method to list a user's orders - returns plain objects for Handlebars
+orderSchema.statics.findForUser = async function(userId) {
+  return this.find({ userId }).sort({ createdAt: -1 }).lean();
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
@@ -1,4 +1,141 @@
 import mongoose from 'mongoose';
+import Category, { slugify } from './Category.js';
+import { tokenize, escapeRegex, suggestCorrection } from '../services/search.js';
+
+// Limits for free-form tags like "glass", "vintage" or "glow"
+export const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize tags from a form field ("Glass, glow") or an array
+ * Tags are lowercase words or phrases; duplicates and empty ones are dropped.
+ * @param {string|Array} input - Comma-separated string or array of tags
+ * @returns {Array} - Clean tags, at most MAX_TAGS
+ */
+export function parseTags(input) {
+  const raw = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = raw
+    .map(tag => String(tag).toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').replace(/\s+/g, ' ').trim())
+    .filter(tag => tag && tag.length <= MAX_TAG_LENGTH);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+// Marble sizes a variant can come in, smallest first
+export const VARIANT_SIZES = ['mini', 'standard', 'shooter'];
+
+// A purchasable version of a product: one size in one pack size, with its own price and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  size: {
+    type: String,
+    enum: VARIANT_SIZES,
+    default: 'standard'
+  },
+  // Marbles per pack
+  packSize: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  stockCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Optional picture of this variant; the product image is used otherwise
+  imageUrl: {
+    type: String,
+    default: ''
+  }
+});
+
+/**
+ * Describe a variant for customers, e.g. "Shooter, pack of 10"
+ * @param {Object} variant - Variant document or plain object
+ * @returns {string} - Label
+ */
+export function variantLabel(variant) {
+  const size = variant.size.charAt(0).toUpperCase() + variant.size.slice(1);
+  return variant.packSize > 1 ? `${size}, pack of ${variant.packSize}` : size;
+}
+
+/**
+ * Find a variant of a product by id (works on documents and lean objects)
+ * @param {Object} product - Product with variants
+ * @param {string} variantId - Variant id
+ * @returns {Object|null} - Variant or null
+ */
+export function findVariant(product, variantId) {
+  if (!variantId || !product.variants) {
+    return null;
+  }
+  return product.variants.find(v => v._id.toString() === variantId.toString()) || null;
+}
+
+/**
+ * Shipping weight of one item as sold, in grams: packs weigh all their marbles
+ * @param {Object} product - Product with its weight
+ * @param {Object|null} variant - Variant bought, if any
+ * @returns {number} - Grams
+ */
+export function itemWeight(product, variant = null) {
+  return (product.weight || 0) * (variant ? variant.packSize || 1 : 1);
+}
+
+// Most pictures a product can have
+export const MAX_PRODUCT_IMAGES = 8;
+
+// One product picture; the first in the list is the primary image
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  alt: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 200
+  }
+});
+
+/**
+ * List a product's pictures, primary first
+ * Products saved before pictures were a list only have imageUrl.
+ * @param {Object} product - Product document or plain object
+ * @param {Object} options - { fallbackAlt: use the product name for missing alt text (default true) }
+ * @returns {Array} - [{ url, alt }]
+ */
+export function productImages(product, { fallbackAlt = true } = {}) {
+  const images = product.images && product.images.length > 0
+    ? product.images
+    : (product.imageUrl ? [{ url: product.imageUrl, alt: '' }] : []);
+  
+  return images.map(image => ({
+    url: image.url,
+    alt: image.alt || (fallbackAlt ? product.name : '')
+  }));
+}
+
+/**
+ * Filter for products whose name has a word starting with each term
+ * Anchored prefixes on the indexed nameWords, so MongoDB reads only matching index keys.
+ * @param {Array} terms - Lowercase search terms, from tokenize()
+ * @returns {Object} - MongoDB filter
+ */
+function namePrefixFilter(terms) {
+  return { $and: terms.map(term => ({ nameWords: { $regex: `^${escapeRegex(term)}` } })) };
+}
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -6,24 +143,56 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Lowercase words of the name, kept in sync on save, for search-as-you-type
+  nameWords: {
+    type: [String],
+    default: undefined
+  },
+  // Stable identifier for spreadsheets and imports; made from the name when not set
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs use lowercase letters, digits and dashes']
+  },
   description: {
     type: String,
     default: ''
   },
+  // For products with variants, price is the cheapest variant and stockCount the total
+  // across variants, both kept in sync on save so listings, filters and sorting still work
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // Primary image - the first of images, kept in sync on save for listings and the cart
   imageUrl: {
     type: String,
     default: ''
   },
+  images: {
+    type: [imageSchema],
+    validate: [
+      images => images.length <= MAX_PRODUCT_IMAGES,
+      `A product can have at most ${MAX_PRODUCT_IMAGES} images`
+    ]
+  },
+  // Slug of the product's Category
   color: {
     type: String,
     required: true,
-    enum: ['red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'white', 'black', 'multicolor'],
-    default: 'multicolor'
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: async slug => Boolean(await Category.exists({ slug })),
+      message: 'Unknown category: {VALUE}'
+    }
+  },
+  tags: {
+    type: [String],
+    set: parseTags,
+    index: true
   },
   stockCount: {
     type: Number,
@@ -34,6 +203,46 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Shipping weight in grams of one marble, or of the whole item for products without
+  // variants; a pack weighs this times its packSize. 0 when not weighed yet.
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Package size in centimetres, shown on the product page
+  dimensions: {
+    length: { type: Number, default: null, min: 0 },
+    width: { type: Number, default: null, min: 0 },
+    height: { type: Number, default: null, min: 0 }
+  },
+  // Average of approved reviews (0 when there are none) and how many there are,
+  // kept up to date by the Review model for catalog sorting and filtering
+  ratingAverage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // How much customers view and buy the product, set by the recommendation job
+  // (services/recommendations.js) and used when there is nothing better to suggest
+  popularity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  variants: {
+    type: [variantSchema],
+    validate: [
+      variants => new Set(variants.map(v => v.sku)).size === variants.length,
+      'Each variant needs its own SKU'
+    ]
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -43,43 +252,397 @@ const productSchema = new mongoose.Schema({
 // Text index for search
 productSchema.index({ name: 'text', description: 'text' });
 
-// Pre-save middleware to sync inStock with stockCount
+// Name word prefixes for suggestions and partial-word search
+productSchema.index({ nameWords: 1 });
+
+// For the popular products fallback of recommendations
+productSchema.index({ popularity: -1 });
+
+// Slugs are unique (products saved before slugs existed get one from fillMissingSlugs at startup)
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+
+// SKUs are unique across the catalog (products without variants aren't indexed)
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Pre-validate middleware to give products without a slug one made from the name,
+// numbered if another product already has it ("ocean-swirl-2")
+productSchema.pre('validate', async function() {
+  if (this.slug || !this.name) {
+    return;
+  }
+  
+  const base = slugify(this.name) || 'product';
+  let slug = base;
+  for (let n = 2; await this.constructor.exists({ slug, _id: { $ne: this._id } }); n++) {
+    slug = `${base}-${n}`;
+  }
+  this.slug = slug;
+});
+
+// Pre-save middleware to derive price and stock from variants, inStock from stockCount,
+// nameWords from the name, and imageUrl from images (adopting a lone imageUrl from before
+// images were a list)
 productSchema.pre('save', function(next) {
+  this.nameWords = tokenize(this.name);
+  
+  if (this.images.length === 0 && this.imageUrl && !this.isModified('images')) {
+    this.images = [{ url: this.imageUrl, alt: '' }];
+  }
+  this.imageUrl = this.images.length > 0 ? this.images[0].url : '';
+  
+  if (this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map(v => v.price));
+    this.stockCount = this.variants.reduce((sum, v) => sum + v.stockCount, 0);
+  }
   this.inStock = this.stockCount > 0;
   next();
 });
 
-// Static method to search products - returns plain objects for Handlebars
-productSchema.statics.search = async function(query, colorFilter) {
-  let filter = {};
+/**
+ * Every uploaded file a product uses: its pictures and its variants' pictures
+ * @param {Object} product - Product document or plain object
+ * @returns {Array} - Image URLs
+ */
+export function productFileUrls(product) {
+  return [
+    ...productImages(product).map(image => image.url),
+    ...(product.variants || []).map(v => v.imageUrl)
+  ].filter(Boolean);
+}
+
+/**
+ * Pipeline stages that add delta to one variant's stock and re-derive the product totals
+ */
+function variantStockStages(variantId, delta) {
+  const id = new mongoose.Types.ObjectId(variantId);
+  return [
+    {
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'v',
+            in: {
+              $cond: [
+                { $eq: ['$$v._id', id] },
+                { $mergeObjects: ['$$v', { stockCount: { $add: ['$$v.stockCount', delta] } }] },
+                '$$v'
+              ]
+            }
+          }
+        }
+      }
+    },
+    { $set: { stockCount: { $sum: '$variants.stockCount' } } },
+    { $set: { inStock: { $gt: ['$stockCount', 0] } } }
+  ];
+}
+
+// Static method to give products saved before slugs existed their slug (see the
+// pre-validate hook), so links, exports and imports can rely on it. Returns how many were filled.
+productSchema.statics.fillMissingSlugs = async function() {
+  const products = await this.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+  let filled = 0;
+  
+  for (const product of products) {
+    try {
+      await product.save();
+      filled++;
+    } catch (error) {
+      console.error(`[Product] Could not give ${product.name} (${product._id}) a slug:`, error.message);
+    }
+  }
+  
+  if (filled > 0) {
+    console.log(`[Product] Filled in ${filled} missing product slug(s)`);
+  }
+  return filled;
+};
+
+// Static method to fill in nameWords for products saved before it existed, so they show
+// in suggestions. Returns how many were filled.
+productSchema.statics.fillSearchWords = async function() {
+  const products = await this.find({ nameWords: { $exists: false } }, { name: 1 }).lean();
+  if (products.length === 0) {
+    return 0;
+  }
+  
+  await this.bulkWrite(products.map(product => ({
+    updateOne: { filter: { _id: product._id }, update: { $set: { nameWords: tokenize(product.name) } } }
+  })));
+  
+  console.log(`[Product] Filled in search words for ${products.length} product(s)`);
+  return products.length;
+};
+
+// Static method to atomically take stock for an order (of one variant, if given).
+// Returns the updated product, or null if there isn't enough stock left.
+productSchema.statics.reserveStock = async function(productId, quantity, variantId = null) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stockCount: { $gte: quantity } } } },
+      variantStockStages(variantId, -quantity),
+      { new: true }
+    );
+  }
   
-  if (colorFilter && colorFilter !== 'all') {
-    filter.color = colorFilter;
+  return this.findOneAndUpdate(
+    { _id: productId, stockCount: { $gte: quantity } },
+    [
+      { $set: { stockCount: { $subtract: ['$stockCount', quantity] } } },
+      { $set: { inStock: { $gt: ['$stockCount', 0] } } }
+    ],
+    { new: true }
+  );
+};
+
+// Static method to put stock back (cancelled order or failed checkout)
+productSchema.statics.releaseStock = async function(productId, quantity, variantId = null) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      { _id: productId, 'variants._id': variantId },
+      variantStockStages(variantId, quantity),
+      { new: true }
+    );
   }
   
-  let products;
+  return this.findOneAndUpdate(
+    { _id: productId },
+    [
+      { $set: { stockCount: { $add: ['$stockCount', quantity] } } },
+      { $set: { inStock: { $gt: ['$stockCount', 0] } } }
+    ],
+    { new: true }
+  );
+};
+
+// Sort options for catalog listings (_id keeps pages stable when values tie).
+// Relevance only applies to text searches; without a query it falls back to newest.
+export const PRODUCT_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, _id: 1 },
+  newest: { createdAt: -1, _id: -1 },
+  'price-asc': { price: 1, _id: 1 },
+  'price-desc': { price: -1, _id: 1 },
+  rating: { ratingAverage: -1, ratingCount: -1, _id: 1 },
+  name: { name: 1, _id: 1 }
+};
+
+export const DEFAULT_PAGE_SIZE = 12;
+
+// Tags listed in the catalog sidebar
+const TAG_FACET_LIMIT = 20;
+export const MAX_PAGE_SIZE = 48;
+
+// Static method to fetch one page of products matching a query filter - returns plain objects.
+// Price, stock, size, tag, rating and color options are applied on top of queryFilter. Color facet counts
+// ignore the selected color so the sidebar can show what switching would give; tag facets count
+// the most common tags among the results.
+productSchema.statics.findPage = async function(queryFilter, {
+  color = '',
+  size = '',
+  tag = '',
+  minRating = null,
+  minPrice = null,
+  maxPrice = null,
+  inStockOnly = false,
+  sort = 'newest',
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE
+} = {}) {
+  const baseFilter = { ...queryFilter };
+  const isTextSearch = Boolean(queryFilter.$text);
+  
+  if (minPrice !== null || maxPrice !== null) {
+    baseFilter.price = {};
+    if (minPrice !== null) baseFilter.price.$gte = minPrice;
+    if (maxPrice !== null) baseFilter.price.$lte = maxPrice;
+  }
+  
+  if (inStockOnly) {
+    baseFilter.stockCount = { $gt: 0 };
+  }
+  
+  if (minRating) {
+    baseFilter.ratingAverage = { $gte: minRating };
+  }
+  
+  // Kept apart from any tag terms the search itself filters on
+  if (tag) {
+    baseFilter.$and = [...(baseFilter.$and || []), { tags: tag }];
+  }
   
-  if (!query || query.trim() === '') {
-    products = await this.find(filter).sort({ createdAt: -1 }).lean();
-  } else {
-    const regex = new RegExp(query, 'i');
-    products = await this.find({
-      ...filter,
-      $or: [
-        { name: regex },
-        { description: regex }
-      ]
-    }).sort({ createdAt: -1 }).lean();
+  // A size only counts as in stock if that variant is
+  if (size) {
+    baseFilter.variants = { $elemMatch: inStockOnly ? { size, stockCount: { $gt: 0 } } : { size } };
   }
   
+  const filter = color && color !== 'all' ? { ...baseFilter, color } : baseFilter;
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  
+  const [total, colorCounts, tagCounts] = await Promise.all([
+    this.countDocuments(filter),
+    this.aggregate([
+      { $match: baseFilter },
+      { $group: { _id: '$color', count: { $sum: 1 } } }
+    ]),
+    this.aggregate([
+      { $match: filter },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TAG_FACET_LIMIT }
+    ])
+  ]);
+  
+  // Out-of-range pages show the last page rather than nothing
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pages);
+  
+  const sortKey = sort === 'relevance' && !isTextSearch ? 'newest' : sort;
+  
+  let products = await this.find(filter, isTextSearch ? { score: { $meta: 'textScore' } } : {})
+    .sort(PRODUCT_SORTS[sortKey] || PRODUCT_SORTS.newest)
+    .skip((currentPage - 1) * pageSize)
+    .limit(pageSize)
+    .lean();
+  
   // Add computed inStock for plain objects
   products = products.map(p => ({
     ...p,
     inStock: p.stockCount > 0
   }));
   
-  console.log('[Product.search] Found', products.length, 'products');
-  return products;
+  return {
+    products,
+    total,
+    page: currentPage,
+    pages,
+    limit: pageSize,
+    facets: {
+      colors: Object.fromEntries(colorCounts.map(c => [c._id, c.count])),
+      allColors: colorCounts.reduce((sum, c) => sum + c.count, 0),
+      tags: tagCounts.map(t => ({ tag: t._id, count: t.count }))
+    }
+  };
+};
+
+// Static method to list the words search terms are corrected against
+productSchema.statics.searchVocabulary = async function() {
+  const [names, tags, categories] = await Promise.all([this.distinct('name'), this.distinct('tags'), Category.slugs()]);
+  return [...new Set(names.concat(tags).flatMap(text => tokenize(text)).concat(categories))];
+};
+
+// Static method to list the most used tags, most common first
+productSchema.statics.popularTags = async function(limit = TAG_FACET_LIMIT) {
+  const counts = await this.aggregate([
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return counts.map(t => t._id);
+};
+
+// Static method to search products a page at a time.
+// Goes through the text index, ranked by relevance. When that finds nothing, misspelled terms
+// are corrected against product names, tags and categories ("purpel" -> "purple"), and as a last resort
+// words are matched as name prefixes. User input only ever reaches MongoDB escaped.
+// Returns the findPage() result plus { highlightTerms, didYouMean }.
+productSchema.statics.search = async function(options = {}) {
+  const terms = tokenize(options.query);
+  
+  if (terms.length === 0) {
+    const result = await this.findPage({}, options);
+    console.log('[Product.search] Listing', result.total, 'products, page', result.page, 'of', result.pages);
+    return { ...result, highlightTerms: [], didYouMean: null };
+  }
+  
+  // A query that is exactly a SKU goes straight to its product
+  const sku = options.query.trim().toUpperCase();
+  if (/^[A-Z0-9][A-Z0-9-]*$/.test(sku) && /\d/.test(sku)) {
+    const skuResult = await this.findPage({ 'variants.sku': sku }, options);
+    if (skuResult.total > 0) {
+      console.log('[Product.search] Found product for SKU', sku);
+      return { ...skuResult, highlightTerms: [], didYouMean: null };
+    }
+  }
+  
+  let result = await this.findPage({ $text: { $search: terms.join(' ') } }, options);
+  
+  if (result.total > 0) {
+    console.log('[Product.search] Found', result.total, 'products for', terms.join(' '));
+    return { ...result, highlightTerms: terms, didYouMean: null };
+  }
+  
+  // Typos: correct each term, then search category words as categories, tags as tags
+  // and the rest as text
+  const [vocabulary, categories, tags] = await Promise.all([
+    this.searchVocabulary(),
+    Category.slugs(),
+    this.distinct('tags')
+  ]);
+  const corrected = terms.map(term => suggestCorrection(term, vocabulary) || term);
+  const colorTerms = corrected.filter(term => categories.includes(term));
+  const tagTerms = corrected.filter(term => !categories.includes(term) && tags.includes(term));
+  const wordTerms = corrected.filter(term => !colorTerms.includes(term) && !tagTerms.includes(term));
+  const didYouMean = corrected.join(' ') !== terms.join(' ') ? corrected.join(' ') : null;
+  
+  const filter = {};
+  if (wordTerms.length > 0) {
+    filter.$text = { $search: wordTerms.join(' ') };
+  }
+  if (colorTerms.length > 0 && !options.color) {
+    filter.color = { $in: colorTerms };
+  }
+  if (tagTerms.length > 0) {
+    filter.tags = { $all: tagTerms };
+  }
+  
+  // Re-search only if something changed: a correction, or category or tag words to filter on
+  if ((didYouMean || filter.color || filter.tags) && Object.keys(filter).length > 0) {
+    result = await this.findPage(filter, options);
+    
+    if (result.total > 0) {
+      console.log('[Product.search] Found', result.total, 'products for corrected query', corrected.join(' '));
+      return { ...result, highlightTerms: corrected, didYouMean };
+    }
+  }
+  
+  // Partial words, e.g. while typing: every term must start a word in the name
+  result = await this.findPage(namePrefixFilter(terms), options);
+  
+  console.log('[Product.search] Found', result.total, 'products by prefix for', terms.join(' '));
+  return { ...result, highlightTerms: terms, didYouMean: result.total > 0 ? null : didYouMean };
+};
+
+// Static method for search-as-you-type: products whose name has a word starting with each
+// typed term (the last one usually half-typed), each with its category, plus matching categories.
+// One query on the nameWords index, and categories come from their cache, so it can run on
+// every keystroke.
+productSchema.statics.suggest = async function(query, limit = 6) {
+  const terms = tokenize(query);
+  if (terms.length === 0) {
+    return { products: [], categories: [] };
+  }
+  
+  const [products, allCategories] = await Promise.all([
+    this.find(namePrefixFilter(terms), { name: 1, price: 1, color: 1, imageUrl: 1, stockCount: 1 })
+      .sort({ name: 1 }).limit(limit).lean(),
+    Category.listAll()
+  ]);
+  const bySlug = new Map(allCategories.map(c => [c.slug, c]));
+  
+  const lastTerm = terms[terms.length - 1];
+  const categories = allCategories
+    .filter(c => c.slug.startsWith(lastTerm) || c.name.toLowerCase().startsWith(lastTerm));
+  
+  return {
+    products: products.map(p => ({ ...p, category: bySlug.get(p.color) || null })),
+    categories
+  };
 };
 
 const Product = mongoose.model('Product', productSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Precomputed recommendations for one product, written by the recommendation
+ * job in services/recommendations.js and read on product pages, the home page
+ * and by the chat assistant.
+ */
+
+// Signals that can connect two products, as stored in `reasons`
+export const RECOMMENDATION_REASONS = ['category', 'price', 'tags', 'viewed', 'bought'];
+
+const relatedSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  // The signals that count for most of the score, strongest first
+  reasons: [{
+    type: String,
+    enum: RECOMMENDATION_REASONS
+  }]
+}, { _id: false });
+
+const alsoBoughtSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Number of orders containing both products
+  orders: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const productRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  // Best matches first
+  related: [relatedSchema],
+  // Products bought in the same orders, most often first
+  alsoBought: [alsoBoughtSchema],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Note: product already has unique: true which creates an index
+
+const ProductRecommendation = mongoose.model('ProductRecommendation', productRecommendationSchema);
+
+export default ProductRecommendation;
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import { isLive, isSale, withSalePrices, priceCart } from '../services/pricing.js';
+
+/**
+ * Promotions, managed from the admin. A promotion without a code applies by
+ * itself: percentage and fixed-amount ones are sales that lower the shelf
+ * price, buy-X-get-Y ones are taken off matching carts. With a code, the
+ * customer enters it on the cart page. The pricing rules themselves live in
+ * services/pricing.js.
+ */
+
+export const PROMOTION_KINDS = ['percentage', 'fixed', 'buy-x-get-y'];
+
+// How long the live promotion list is cached in memory; saves, deletes and uses clear it
+const CACHE_TTL_MS = 60 * 1000;
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  // Shown to customers next to the discount and told by the chat assistant
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 300
+  },
+  // Empty for promotions that apply by themselves
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Codes use 3 to 30 letters, digits, dashes or underscores']
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: PROMOTION_KINDS
+  },
+  // Percent off (1-100) or Dh off, for percentage and fixed promotions
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Buy-X-get-Y: the Y cheapest of every X + Y eligible units are free
+  buyQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  getQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What the promotion covers; none of either means the whole shop
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,  // Category slugs, like Product.color
+    lowercase: true,
+    trim: true
+  }],
+  // Only count variants sold as packs (packSize above 1)
+  packsOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Cart subtotal (after sale prices) needed before the promotion applies
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Orders that may use it, in total and per customer; null for no limit
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  maxUsesPerCustomer: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Validity window; either end may be open
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Whether the chat assistant may tell customers about it (codes handed out privately shouldn't be)
+  public: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Codes are unique; promotions without one don't take part in the index
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ active: 1, endsAt: 1 });
+
+// Check the settings each kind needs
+promotionSchema.pre('validate', function(next) {
+  if (!this.code) {
+    this.code = undefined;
+  }
+
+  if (this.kind === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'A percentage discount must be between 1 and 100');
+  }
+  if (this.kind === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Enter the amount to take off');
+  }
+  if (this.kind === 'buy-x-get-y' && (this.buyQuantity < 1 || this.getQuantity < 1)) {
+    this.invalidate('buyQuantity', 'Enter how many items to buy and how many are free');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end date must be after the start date');
+  }
+  // Sale prices show on every product page, so they can't depend on the cart or the customer
+  if (isSale(this) && (this.minSubtotal > 0 || this.maxUses || this.maxUsesPerCustomer)) {
+    this.invalidate('minSubtotal', 'Sales without a code apply to every order; add a code to set a minimum or usage limits');
+  }
+  next();
+});
+
+/**
+ * Build an error carrying an HTTP status for the caller to surface
+ */
+function promotionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+let cache = null;
+
+/**
+ * Forget the cached promotion list (after any change)
+ */
+function clearCache() {
+  cache = null;
+}
+
+promotionSchema.post('save', clearCache);
+promotionSchema.post('findOneAndDelete', clearCache);
+promotionSchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// Static method to list the promotions in effect right now - returns plain objects, cached
+// briefly since every page with prices reads them
+promotionSchema.statics.listLive = async function() {
+  if (!cache || cache.expires <= Date.now()) {
+    const promotions = await this.find({
+      active: true,
+      $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }]
+    }).lean();
+    cache = { promotions, expires: Date.now() + CACHE_TTL_MS };
+  }
+
+  const now = new Date();
+  return cache.promotions.filter(promotion => isLive(promotion, now));
+};
+
+// Static method to find a live promotion by its code, or null
+promotionSchema.statics.findLiveCode = async function(code) {
+  const wanted = String(code || '').trim().toUpperCase();
+  if (!wanted) {
+    return null;
+  }
+  const promotions = await this.listLive();
+  return promotions.find(promotion => promotion.code === wanted) || null;
+};
+
+// Static method to add sale prices (salePrice) to plain products and their variants for display
+promotionSchema.statics.withSalePrices = async function(products) {
+  return withSalePrices(products, await this.listLive());
+};
+
+// Static method to price a cart from Cart.getDetails() with the live promotions and a code.
+// Promotions listed in exclude are left out (e.g. ones the customer has used up).
+promotionSchema.statics.priceCart = async function(cart, { code = '', exclude = [] } = {}) {
+  const excluded = exclude.map(id => id.toString());
+  const promotions = (await this.listLive()).filter(p => !excluded.includes(p._id.toString()));
+
+  const wanted = String(code || '').trim().toUpperCase();
+  const codePromotion = wanted ? promotions.find(p => p.code === wanted) || null : null;
+  const priced = priceCart(cart, promotions, { code: codePromotion });
+
+  if (wanted && !codePromotion) {
+    priced.codeError = `The code ${wanted} isn't valid or has expired`;
+  }
+  return priced;
+};
+
+// Static method to list what the chat assistant may tell customers about
+promotionSchema.statics.listPublic = async function() {
+  const promotions = await this.listLive();
+  return promotions.filter(promotion => promotion.public);
+};
+
+// Static method to count an order's promotions as used. Each is claimed atomically against
+// its limit; if one has run out, those claimed so far are given back.
+promotionSchema.statics.claimUses = async function(discounts) {
+  const claimed = [];
+
+  for (const discount of discounts) {
+    const updated = await this.findOneAndUpdate(
+      {
+        _id: discount.promotion,
+        $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+      },
+      { $inc: { usedCount: 1 } }
+    );
+
+    if (!updated) {
+      await this.releaseUses(claimed);
+      throw promotionError(`Sorry, the ${discount.name} offer has just run out`, 409);
+    }
+    claimed.push(discount);
+  }
+
+  clearCache();
+  return claimed;
+};
+
+// Static method to give back the uses of an order's promotions (cancelled or failed orders)
+promotionSchema.statics.releaseUses = async function(discounts) {
+  for (const discount of discounts) {
+    await this.updateOne({ _id: discount.promotion, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+  clearCache();
+};
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+export default Promotion;
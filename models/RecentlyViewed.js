@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// How many product views are remembered per visitor
+export const RECENTLY_VIEWED_LIMIT = 12;
+
+const viewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const recentlyViewedSchema = new mongoose.Schema({
+  userId: {
+    type: String,  // Same id as getChatUserId(): ObjectId string or "guest_123..."
+    required: true,
+    unique: true
+  },
+  // Newest first, each product once
+  items: [viewSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Note: userId already has unique: true which creates an index
+
+// Static method to record a product page visit, moving the product to the front of the list
+recentlyViewedSchema.statics.record = async function(userId, productId) {
+  const now = new Date();
+
+  await this.updateOne({ userId }, { $pull: { items: { product: productId } } });
+  await this.updateOne(
+    { userId },
+    {
+      $push: { items: { $each: [{ product: productId, viewedAt: now }], $position: 0, $slice: RECENTLY_VIEWED_LIMIT } },
+      $set: { updatedAt: now }
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to load the recently viewed products, newest first - returns plain objects
+// with viewedAt. Products deleted since are left out.
+recentlyViewedSchema.statics.getProducts = async function(userId, { exclude = null, limit = RECENTLY_VIEWED_LIMIT } = {}) {
+  const list = await this.findOne({ userId }).populate('items.product').lean();
+  if (!list) {
+    return [];
+  }
+
+  return list.items
+    .filter(item => item.product && (!exclude || item.product._id.toString() !== exclude.toString()))
+    .slice(0, limit)
+    .map(item => ({ ...item.product, inStock: item.product.stockCount > 0, viewedAt: item.viewedAt }));
+};
+
+// Static method to move a guest's viewing history into a user's after sign-in,
+// keeping the latest visit of each product
+recentlyViewedSchema.statics.mergeGuestHistory = async function(guestId, userId) {
+  if (!guestId || guestId === userId) {
+    return null;
+  }
+
+  const guestList = await this.findOne({ userId: guestId }).lean();
+  if (!guestList) {
+    return null;
+  }
+
+  const userList = await this.findOne({ userId }).lean();
+  const latest = new Map();
+  [...guestList.items, ...(userList ? userList.items : [])].forEach(item => {
+    const id = item.product.toString();
+    if (!latest.has(id) || latest.get(id).viewedAt < item.viewedAt) {
+      latest.set(id, item);
+    }
+  });
+  const merged = [...latest.values()]
+    .sort((a, b) => b.viewedAt - a.viewedAt)
+    .slice(0, RECENTLY_VIEWED_LIMIT);
+
+  await this.updateOne({ userId }, { $set: { items: merged, updatedAt: new Date() } }, { upsert: true });
+  await this.deleteOne({ _id: guestList._id });
+
+  console.log(`[RecentlyViewed] Merged guest history ${guestId} into ${userId}`);
+  return merged;
+};
+
+const RecentlyViewed = mongoose.model('RecentlyViewed', recentlyViewedSchema);
+
+export default RecentlyViewed;
@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+import Order from './Order.js';
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const MAX_REVIEW_LENGTH = 2000;
+
+// Length of the review excerpts given to the chat assistant
+const EXCERPT_LENGTH = 160;
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  userId: {
+    type: String,  // session.userId of the customer who wrote it
+    required: true
+  },
+  // The delivered order that entitles the customer to review
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Shown with the review, e.g. "Sara B." - taken from the order's shipping name
+  authorName: {
+    type: String,
+    default: 'Customer',
+    trim: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: [Number.isInteger, 'Ratings are whole stars from 1 to 5']
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_REVIEW_LENGTH
+  },
+  // Reviews are only shown once a moderator approves them
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per product per customer
+reviewSchema.index({ product: 1, userId: 1 }, { unique: true });
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function reviewError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Short public name from a full name: "Sara Bennani" -> "Sara B."
+ * @param {string} fullName - Name from a shipping address
+ * @returns {string} - Display name
+ */
+function displayName(fullName) {
+  const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) {
+    return 'Customer';
+  }
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.` : parts[0];
+}
+
+// Static method to check whether a customer may review a product.
+// Returns { allowed, review, order }: the existing review if they wrote one, otherwise
+// the delivered order containing the product that allows a review (or null).
+reviewSchema.statics.eligibility = async function(userId, productId) {
+  if (!userId) {
+    return { allowed: false, review: null, order: null };
+  }
+
+  const [review, order] = await Promise.all([
+    this.findOne({ product: productId, userId }).lean(),
+    Order.findOne(
+      { userId, status: 'delivered', 'items.product': productId },
+      { shippingAddress: 1 }
+    ).sort({ createdAt: -1 }).lean()
+  ]);
+
+  return { allowed: !review && Boolean(order), review, order };
+};
+
+// Static method to submit a customer's review; it waits for moderation before it's shown
+reviewSchema.statics.submit = async function(userId, productId, { rating, body }) {
+  const { review, order } = await this.eligibility(userId, productId);
+
+  if (review) {
+    throw reviewError('You have already reviewed this product', 409);
+  }
+  if (!order) {
+    throw reviewError('You can review products once an order containing them has been delivered', 403);
+  }
+
+  const stars = parseInt(rating);
+  if (!(stars >= 1 && stars <= 5)) {
+    throw reviewError('Please choose a rating from 1 to 5 stars');
+  }
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) {
+    throw reviewError('Please write a few words about the product');
+  }
+  if (text.length > MAX_REVIEW_LENGTH) {
+    throw reviewError(`Reviews are limited to ${MAX_REVIEW_LENGTH} characters`);
+  }
+
+  try {
+    const created = await this.create({
+      product: productId,
+      userId,
+      order: order._id,
+      authorName: displayName(order.shippingAddress?.fullName),
+      rating: stars,
+      body: text
+    });
+    console.log(`[Review] ${stars}-star review of ${productId} by ${userId} awaiting moderation`);
+    return created;
+  } catch (error) {
+    // Two submissions at once: the unique index keeps only the first
+    if (error.code === 11000) {
+      throw reviewError('You have already reviewed this product', 409);
+    }
+    throw error;
+  }
+};
+
+// Static method to recompute a product's stored rating from its approved reviews
+reviewSchema.statics.refreshProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const ratingAverage = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const ratingCount = stats ? stats.count : 0;
+
+  await Product.updateOne({ _id: productId }, { $set: { ratingAverage, ratingCount } });
+  return { ratingAverage, ratingCount };
+};
+
+// Static method to approve or reject a review, keeping the product's rating in sync
+reviewSchema.statics.moderate = async function(reviewId, status) {
+  if (!['approved', 'rejected'].includes(status)) {
+    throw reviewError(`Unknown review status: ${status}`);
+  }
+
+  const review = await this.findByIdAndUpdate(
+    reviewId,
+    { $set: { status, moderatedAt: new Date() } },
+    { new: true }
+  );
+  if (!review) {
+    throw reviewError('Review not found', 404);
+  }
+
+  await this.refreshProductRating(review.product);
+  console.log(`[Review] Review ${review._id} ${status}`);
+  return review;
+};
+
+// Static method to delete a review, keeping the product's rating in sync
+reviewSchema.statics.removeReview = async function(reviewId) {
+  const review = await this.findByIdAndDelete(reviewId);
+  if (!review) {
+    throw reviewError('Review not found', 404);
+  }
+
+  await this.refreshProductRating(review.product);
+  console.log(`[Review] Review ${review._id} deleted`);
+  return review;
+};
+
+// Static method to list a product's approved reviews, newest first - returns plain objects
+reviewSchema.statics.findApproved = async function(productId, limit = 20) {
+  return this.find({ product: productId, status: 'approved' })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Static method to get short review excerpts for several products, for the chat assistant.
+// Returns a Map of product id -> [{ rating, text }], the newest approved reviews first.
+reviewSchema.statics.excerpts = async function(productIds, perProduct = 2) {
+  const ids = productIds.map(id => new mongoose.Types.ObjectId(id));
+  const groups = await this.aggregate([
+    { $match: { product: { $in: ids }, status: 'approved' } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$product', reviews: { $push: { rating: '$rating', body: '$body' } } } },
+    { $project: { reviews: { $slice: ['$reviews', perProduct] } } }
+  ]);
+
+  return new Map(groups.map(group => [
+    group._id.toString(),
+    group.reviews.map(r => ({
+      rating: r.rating,
+      text: r.body.length > EXCERPT_LENGTH ? r.body.substring(0, EXCERPT_LENGTH - 3) + '...' : r.body
+    }))
+  ]));
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
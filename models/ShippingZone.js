@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import { zoneCovers } from '../services/shipping.js';
+
+/**
+ * Shipping zones, managed from the admin. An address belongs to the first
+ * active zone (in sort order) that lists its country and city; zones that list
+ * no cities take the rest of their countries, and zones that list no countries
+ * take the rest of the world. Costs are worked out in services/shipping.js.
+ */
+
+export const RATE_BASES = ['weight', 'items'];
+
+// How long the zone list is cached in memory; saves and deletes clear it
+const CACHE_TTL_MS = 60 * 1000;
+
+// Zones created on first start
+const DEFAULT_ZONES = [
+  {
+    name: 'Casablanca',
+    countries: ['Morocco'],
+    cities: ['Casablanca', 'Casa'],
+    rateBasis: 'weight',
+    baseRate: 20,
+    includedUnits: 2,
+    extraRate: 5,
+    freeShippingThreshold: 300,
+    cashOnDelivery: true,
+    codFee: 10,
+    deliveryTime: '24 hours'
+  },
+  {
+    name: 'Other Moroccan cities',
+    countries: ['Morocco'],
+    cities: [],
+    rateBasis: 'weight',
+    baseRate: 35,
+    includedUnits: 1,
+    extraRate: 10,
+    freeShippingThreshold: 500,
+    cashOnDelivery: true,
+    codFee: 15,
+    deliveryTime: '2-4 days'
+  },
+  {
+    name: 'International',
+    countries: [],
+    cities: [],
+    rateBasis: 'weight',
+    baseRate: 250,
+    includedUnits: 1,
+    extraRate: 80,
+    freeShippingThreshold: null,
+    cashOnDelivery: false,
+    codFee: 0,
+    deliveryTime: '7-15 days'
+  }
+];
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  // Country and city names as customers type them; accents and case don't matter
+  countries: [{
+    type: String,
+    trim: true
+  }],
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  // Charge by parcel weight (units are kilos) or by number of items
+  rateBasis: {
+    type: String,
+    enum: RATE_BASES,
+    default: 'weight'
+  },
+  // Price in Dh for the first includedUnits kilos or items, then extraRate for each further one
+  baseRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  includedUnits: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  extraRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Goods total (after discounts) from which delivery is free; null for never
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  cashOnDelivery: {
+    type: Boolean,
+    default: true
+  },
+  // Added to orders paid in cash on delivery
+  codFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shown to customers, e.g. "2-4 days"
+  deliveryTime: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 40
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+let cache = null;
+
+/**
+ * Forget the cached zone list (after any change)
+ */
+function clearCache() {
+  cache = null;
+}
+
+shippingZoneSchema.post('save', clearCache);
+shippingZoneSchema.post('findOneAndDelete', clearCache);
+shippingZoneSchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// Static method to list active zones in matching order - returns plain objects, cached briefly
+shippingZoneSchema.statics.listActive = async function() {
+  if (cache && cache.expires > Date.now()) {
+    return cache.zones;
+  }
+
+  const zones = await this.find({ active: true }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+  cache = { zones, expires: Date.now() + CACHE_TTL_MS };
+  return zones;
+};
+
+// Static method to find the zone that delivers to an address, or null if none does
+shippingZoneSchema.statics.findForAddress = async function(address) {
+  const zones = await this.listActive();
+  return zones.find(zone => zoneCovers(zone, address)) || null;
+};
+
+// Static method to create the default zones when there are none yet
+shippingZoneSchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) {
+    return 0;
+  }
+
+  await this.insertMany(DEFAULT_ZONES.map((zone, index) => ({ ...zone, sortOrder: index })));
+  clearCache();
+
+  console.log(`[ShippingZone] Created ${DEFAULT_ZONES.length} default shipping zones`);
+  return DEFAULT_ZONES.length;
+};
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * "Notify me" subscriptions from the product page. A subscriber is emailed when
+ * the product comes back in stock or its price drops; see services/notifications.js.
+ */
+
+// Minimum time between two alerts to the same subscription
+export const ALERT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+// Most alerts one address receives per day, across all products
+export const MAX_ALERTS_PER_EMAIL_PER_DAY = 5;
+
+// Most products one address can watch
+const MAX_SUBSCRIPTIONS_PER_EMAIL = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [EMAIL_PATTERN, 'Please enter a valid email address']
+  },
+  userId: {
+    type: String,  // session.userId when a signed-in customer subscribed
+    default: null
+  },
+  // Secret for the one-click unsubscribe link in every alert
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  // Lowest price the subscriber has seen: when subscribing, or in the last alert.
+  // Only a drop below it sends a price alert, so the same price is never announced twice.
+  priceSeen: {
+    type: Number,
+    required: true
+  },
+  alertedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One subscription per product per address
+stockSubscriptionSchema.index({ product: 1, email: 1 }, { unique: true });
+// Note: token already has unique: true which creates an index
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function subscriptionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Static method to subscribe an address to a product's stock and price alerts.
+// Subscribing again keeps the existing subscription and its unsubscribe token.
+stockSubscriptionSchema.statics.subscribe = async function(product, { email, userId = null }) {
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(address)) {
+    throw subscriptionError('Please enter a valid email address');
+  }
+
+  const existing = await this.findOne({ product: product._id, email: address });
+  if (existing) {
+    if (userId && !existing.userId) {
+      existing.userId = userId;
+      await existing.save();
+    }
+    return existing;
+  }
+
+  if (await this.countDocuments({ email: address }) >= MAX_SUBSCRIPTIONS_PER_EMAIL) {
+    throw subscriptionError(`You can get alerts for up to ${MAX_SUBSCRIPTIONS_PER_EMAIL} products`, 429);
+  }
+
+  try {
+    const subscription = await this.create({
+      product: product._id,
+      email: address,
+      userId,
+      priceSeen: product.price
+    });
+    console.log(`[Subscription] ${address} subscribed to ${product._id}`);
+    return subscription;
+  } catch (error) {
+    // Two submissions at once: the unique index keeps only the first
+    if (error.code === 11000) {
+      return this.findOne({ product: product._id, email: address });
+    }
+    throw error;
+  }
+};
+
+// Static method to find the subscription with an unsubscribe token, for the confirmation page
+stockSubscriptionSchema.statics.findByToken = async function(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  return this.findOne({ token }).populate('product', 'name').lean();
+};
+
+// Static method to delete the subscription with an unsubscribe token - returns it, or null
+stockSubscriptionSchema.statics.unsubscribe = async function(token) {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const subscription = await this.findOneAndDelete({ token }).populate('product', 'name').lean();
+  if (subscription) {
+    console.log(`[Subscription] ${subscription.email} unsubscribed from ${subscription.product?._id || 'a deleted product'}`);
+  }
+  return subscription;
+};
+
+// Static method to claim a subscription for an alert. It sets alertedAt only if the
+// subscription is out of its cooldown, so concurrent product saves can't both send one.
+// Returns the subscription as it was before the claim, or null when it isn't due.
+stockSubscriptionSchema.statics.claimAlert = async function(subscriptionId, price) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: subscriptionId,
+      $or: [{ alertedAt: null }, { alertedAt: { $lt: new Date(now.getTime() - ALERT_COOLDOWN_MS) } }]
+    },
+    { $set: { alertedAt: now }, $min: { priceSeen: price } }
+  ).lean();
+};
+
+// Static method to count the alerts an address received in the last day
+stockSubscriptionSchema.statics.alertsSentToday = async function(email) {
+  return this.countDocuments({
+    email,
+    alertedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+};
+
+const StockSubscription = mongoose.model('StockSubscription', stockSubscriptionSchema);
+
+export default StockSubscription;
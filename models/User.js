@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const USER_ROLES = ['customer', 'staff', 'admin'];
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -8,6 +10,11 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'customer'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -16,6 +23,27 @@ const userSchema = new mongoose.Schema({
 
 // Note: email already has unique: true which creates an index
 
+/**
+ * Emails listed in ADMIN_EMAILS (comma-separated) are promoted to admin when they sign in.
+ * This bootstraps the first admin without touching the database by hand.
+ */
+function bootstrapAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Instance method to promote the user if their email is a bootstrap admin
+userSchema.methods.applyBootstrapRole = async function() {
+  if (this.role !== 'admin' && bootstrapAdminEmails().includes(this.email)) {
+    this.role = 'admin';
+    await this.save();
+    console.log(`[User] ${this.email} promoted to admin from ADMIN_EMAILS`);
+  }
+  return this;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+
+// Most products one wishlist can hold
+export const MAX_WISHLIST_ITEMS = 100;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: String,  // Same id as getChatUserId(): ObjectId string or "guest_123..."
+    required: true,
+    unique: true
+  },
+  items: [wishlistItemSchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Note: userId already has unique: true which creates an index
+
+/**
+ * Build an error carrying an HTTP status for the caller to surface
+ */
+function wishlistError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Static method to save a product to a wishlist, or take it off if it's already there.
+// Returns { saved, product }: whether the product is now on the wishlist.
+wishlistSchema.statics.toggle = async function(userId, productId) {
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId, { name: 1 }).lean() : null;
+  if (!product) {
+    throw wishlistError('Product not found', 404);
+  }
+
+  const removed = await this.updateOne(
+    { userId, 'items.product': product._id },
+    { $pull: { items: { product: product._id } }, $set: { updatedAt: new Date() } }
+  );
+  if (removed.modifiedCount > 0) {
+    console.log(`[Wishlist] ${userId} removed ${product.name}`);
+    return { saved: false, product };
+  }
+
+  const wishlist = await this.findOne({ userId }, { items: 1 }).lean();
+  if (wishlist && wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+    throw wishlistError(`Your wishlist is full (${MAX_WISHLIST_ITEMS} products). Remove some to save more.`, 409);
+  }
+
+  // The filter skips lists that gained the product in the meantime; upserting then
+  // hits the unique userId index, which means it is saved already
+  try {
+    await this.updateOne(
+      { userId, 'items.product': { $ne: product._id } },
+      { $push: { items: { $each: [{ product: product._id, addedAt: new Date() }], $position: 0 } }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  console.log(`[Wishlist] ${userId} saved ${product.name}`);
+  return { saved: true, product };
+};
+
+// Static method to list the ids of the products on a wishlist, as strings
+wishlistSchema.statics.productIds = async function(userId) {
+  const wishlist = await this.findOne({ userId }, { 'items.product': 1 }).lean();
+  return wishlist ? wishlist.items.map(item => item.product.toString()) : [];
+};
+
+// Static method to load a wishlist's products, most recently saved first - returns plain objects.
+// Products deleted since they were saved are left out.
+wishlistSchema.statics.getProducts = async function(userId) {
+  const wishlist = await this.findOne({ userId }).populate('items.product').lean();
+  if (!wishlist) {
+    return [];
+  }
+
+  return wishlist.items
+    .filter(item => item.product)
+    .map(item => ({ ...item.product, inStock: item.product.stockCount > 0, savedAt: item.addedAt }));
+};
+
+// Static method to move a guest's wishlist into a user's after sign-in.
+// Products on both lists keep the account's entry.
+wishlistSchema.statics.mergeGuestWishlist = async function(guestId, userId) {
+  if (!guestId || guestId === userId) {
+    return null;
+  }
+
+  const guestList = await this.findOne({ userId: guestId }).lean();
+  if (!guestList) {
+    return null;
+  }
+
+  const userList = await this.findOne({ userId }).lean();
+  const saved = new Set((userList ? userList.items : []).map(item => item.product.toString()));
+  const merged = [
+    ...(userList ? userList.items : []),
+    ...guestList.items.filter(item => !saved.has(item.product.toString()))
+  ]
+    .sort((a, b) => b.addedAt - a.addedAt)
+    .slice(0, MAX_WISHLIST_ITEMS);
+
+  await this.updateOne({ userId }, { $set: { items: merged, updatedAt: new Date() } }, { upsert: true });
+  await this.deleteOne({ _id: guestList._id });
+
+  console.log(`[Wishlist] Merged guest wishlist ${guestId} into ${userId}`);
+  return merged;
+};
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
@@ -0,0 +1,66 @@
+/**
+ * Admin Product Images
+ * Drag-to-reorder for the images list on the product form
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const list = document.getElementById('image-list');
+
+  if (!list) return;
+
+  // State
+  let dragged = null;
+
+  /**
+   * Renumber the field names so the server receives images in the order shown
+   */
+  function renumber() {
+    list.querySelectorAll('.image-item').forEach(function(item, index) {
+      item.querySelectorAll('[name^="images["]').forEach(function(input) {
+        input.name = input.name.replace(/^images\[\d+\]/, 'images[' + index + ']');
+      });
+    });
+  }
+
+  /**
+   * Find the item the pointer is over, and whether to drop before or after it
+   * @param {DragEvent} e - Dragover event
+   * @returns {Object|null} - { item, after }
+   */
+  function dropTarget(e) {
+    const item = e.target.closest('.image-item');
+    if (!item || item === dragged) return null;
+
+    const rect = item.getBoundingClientRect();
+    return { item, after: e.clientY > rect.top + rect.height / 2 };
+  }
+
+  // Event Listeners
+  list.addEventListener('dragstart', function(e) {
+    dragged = e.target.closest('.image-item');
+    if (!dragged) return;
+    dragged.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  list.addEventListener('dragover', function(e) {
+    if (!dragged) return;
+    e.preventDefault();
+
+    const target = dropTarget(e);
+    if (target) {
+      list.insertBefore(dragged, target.after ? target.item.nextSibling : target.item);
+    }
+  });
+
+  list.addEventListener('dragend', function() {
+    if (!dragged) return;
+    dragged.classList.remove('dragging');
+    dragged = null;
+    renumber();
+  });
+
+})();
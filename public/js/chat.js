@@ -15,10 +15,23 @@
   const chatInput = document.getElementById('chat-input');
   const chatClear = document.getElementById('chat-clear');
   const chatSuggestions = document.getElementById('chat-suggestions');
+  const threadSelect = document.getElementById('chat-thread-select');
+  const threadNew = document.getElementById('chat-thread-new');
+  const threadRename = document.getElementById('chat-thread-rename');
+
+  const THREAD_STORAGE_KEY = 'lbinag.chatThread';
+  const WELCOME_HTML = `
+    <div class="chat-message assistant">
+      <div class="message-content">
+        Hello! I'm your marble shopping assistant. How can I help you find the perfect marbles today? 🎱
+      </div>
+    </div>
+  `;
 
   // State
   let isOpen = false;
   let isLoading = false;
+  let currentThreadId = localStorage.getItem(THREAD_STORAGE_KEY);
 
   /**
    * Toggle chat panel open/close
@@ -34,16 +47,19 @@
   }
 
   /**
-   * Add a message to the chat display
+   * Build the inner HTML of a message bubble
    * @param {string} content - Message content
-   * @param {string} role - 'user' or 'assistant'
-   * @param {Object} data - Optional additional data (topMatches)
+   * @param {Object} data - Optional additional data (topMatches, ungroundedProducts)
+   * @returns {string} - HTML
    */
-  function addMessage(content, role, data = {}) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `chat-message ${role}`;
+  function renderMessageContent(content, data = {}) {
+    // Product citations arrive as [[Name]] while streaming
+    let html = `<div class="message-content">${escapeHtml(content.replace(/\[\[|\]\]/g, ''))}`;
     
-    let html = `<div class="message-content">${escapeHtml(content)}`;
+    // Warn when the reply mentions products we don't carry
+    if (data.ungroundedProducts && data.ungroundedProducts.length > 0) {
+      html += `<div class="ungrounded-note">Not in our catalog: ${escapeHtml(data.ungroundedProducts.join(', '))}</div>`;
+    }
     
     // Add product suggestions if available
     if (data.topMatches && data.topMatches.length > 0) {
@@ -57,10 +73,35 @@
     }
     
     html += '</div>';
-    messageDiv.innerHTML = html;
+    return html;
+  }
+
+  /**
+   * Add a message to the chat display
+   * @param {string} content - Message content
+   * @param {string} role - 'user' or 'assistant'
+   * @param {Object} data - Optional additional data (topMatches)
+   * @returns {HTMLElement} - The message element, so streamed replies can update it
+   */
+  function addMessage(content, role, data = {}) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `chat-message ${role}`;
+    messageDiv.innerHTML = renderMessageContent(content, data);
     
     chatMessages.appendChild(messageDiv);
     scrollToBottom();
+    return messageDiv;
+  }
+
+  /**
+   * Replace the content of an existing message bubble
+   * @param {HTMLElement} messageDiv - Element returned by addMessage
+   * @param {string} content - Message content
+   * @param {Object} data - Optional additional data (topMatches)
+   */
+  function updateMessage(messageDiv, content, data = {}) {
+    messageDiv.innerHTML = renderMessageContent(content, data);
+    scrollToBottom();
   }
 
   /**
@@ -109,6 +150,109 @@
     return div.innerHTML;
   }
 
+  /**
+   * Parse one Server-Sent Events frame
+   * @param {string} frame - Raw frame text (without the blank line)
+   * @returns {Object|null} - { event, data } or null if the frame has no data
+   */
+  function parseEvent(frame) {
+    let event = 'message';
+    let data = '';
+    
+    frame.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data += line.slice(5).trim();
+      }
+    });
+    
+    return data ? { event, data: JSON.parse(data) } : null;
+  }
+
+  /**
+   * Run the agent's requested action
+   * @param {Object} data - Final agent result
+   */
+  function handleAction(data) {
+    if (data.action === 'open_cart') {
+      setTimeout(() => {
+        if (confirm('Would you like to view your cart?')) {
+          window.location.href = '/cart';
+        }
+      }, 500);
+    }
+  }
+
+  /**
+   * Stream the agent's reply into the chat as it is generated
+   * @param {string} message - User message
+   * @returns {Promise<Object>} - Final result ({ reply, action, topMatches, thread } or { error })
+   */
+  async function streamReply(message) {
+    const response = await fetch('/api/agent/stream', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message, threadId: currentThreadId })
+    });
+    
+    if (!response.ok || !response.body) {
+      throw new Error('Streaming failed with status ' + response.status);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let bubble = null;
+    let result = null;
+    
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = parseEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        
+        if (!frame) continue;
+        
+        if (frame.event === 'token') {
+          // First token replaces the typing indicator with a live bubble
+          if (!bubble) {
+            hideTyping();
+            bubble = addMessage('', 'assistant');
+          }
+          text += frame.data.text;
+          updateMessage(bubble, text);
+        } else if (frame.event === 'done' || frame.event === 'error') {
+          result = frame.data;
+        }
+      }
+    }
+    
+    hideTyping();
+    
+    if (!result) {
+      result = { error: 'Stream ended unexpectedly', reply: text };
+    }
+    
+    // The final event carries the saved reply plus product suggestions
+    const reply = result.reply || 'Sorry, something went wrong. Please try again.';
+    if (bubble) {
+      updateMessage(bubble, reply, result);
+    } else {
+      addMessage(reply, 'assistant', result);
+    }
+    
+    return result;
+  }
+
   /**
    * Send message to the agent
    * @param {string} message - User message
@@ -132,31 +276,16 @@
     showTyping();
     
     try {
-      const response = await fetch('/api/agent', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ message })
-      });
+      const data = await streamReply(message);
       
-      const data = await response.json();
-      
-      hideTyping();
+      if (!data.error) {
+        handleAction(data);
+      }
       
-      if (data.error && !data.reply) {
-        addMessage('Sorry, something went wrong. Please try again.', 'assistant');
-      } else {
-        addMessage(data.reply, 'assistant', data);
-        
-        // Handle actions
-        if (data.action === 'open_cart') {
-          setTimeout(() => {
-            if (confirm('Would you like to view your cart?')) {
-              window.location.href = '/cart';
-            }
-          }, 500);
-        }
+      // The first message of a thread names it
+      if (data.thread) {
+        setCurrentThread(data.thread.id);
+        loadThreads();
       }
     } catch (error) {
       console.error('Chat error:', error);
@@ -170,50 +299,208 @@
   }
 
   /**
-   * Load conversation history
+   * Remember which thread the widget is showing
+   * @param {string|null} threadId - Thread id
+   */
+  function setCurrentThread(threadId) {
+    currentThreadId = threadId;
+    if (threadId) {
+      localStorage.setItem(THREAD_STORAGE_KEY, threadId);
+    } else {
+      localStorage.removeItem(THREAD_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Show the welcome message and suggestions of an empty thread
+   */
+  function showWelcome() {
+    chatMessages.innerHTML = WELCOME_HTML;
+    
+    if (chatSuggestions) {
+      chatSuggestions.style.display = 'flex';
+    }
+  }
+
+  /**
+   * Display a thread's messages
+   * @param {Array} messages - Messages from the API
+   */
+  function showMessages(messages) {
+    if (!messages || messages.length === 0) {
+      showWelcome();
+      return;
+    }
+    
+    chatMessages.innerHTML = '';
+    messages.forEach(msg => {
+      addMessage(msg.content, msg.role);
+    });
+    
+    if (chatSuggestions) {
+      chatSuggestions.style.display = 'none';
+    }
+  }
+
+  /**
+   * Fill the thread picker, open threads first and archived ones in their own group
+   * @param {Array} threads - [{ id, title, archived }]
+   */
+  function renderThreads(threads) {
+    if (!threadSelect) return;
+    
+    const option = thread => `<option value="${thread.id}"${thread.id === currentThreadId ? ' selected' : ''}>${escapeHtml(thread.title)}</option>`;
+    const open = threads.filter(thread => !thread.archived);
+    const archived = threads.filter(thread => thread.archived);
+    
+    let html = open.map(option).join('');
+    if (!currentThreadId) {
+      html = '<option value="" selected>New chat</option>' + html;
+    }
+    if (archived.length > 0) {
+      html += `<optgroup label="Archived">${archived.map(option).join('')}</optgroup>`;
+    }
+    
+    threadSelect.innerHTML = html;
+  }
+
+  /**
+   * Load the user's threads into the picker
+   */
+  async function loadThreads() {
+    try {
+      const response = await fetch('/api/agent/threads');
+      const data = await response.json();
+      renderThreads(data.threads || []);
+    } catch (error) {
+      console.error('Failed to load threads:', error);
+    }
+  }
+
+  /**
+   * Load conversation history of the current thread (or the latest one)
    */
   async function loadHistory() {
     try {
-      const response = await fetch('/api/agent/history');
+      let response = await fetch('/api/agent/history' + (currentThreadId ? '?threadId=' + encodeURIComponent(currentThreadId) : ''));
+      
+      // The remembered thread is gone (e.g. signed out): fall back to the latest one
+      if (response.status === 404) {
+        setCurrentThread(null);
+        response = await fetch('/api/agent/history');
+      }
+      
       const data = await response.json();
       
+      if (data.thread) {
+        setCurrentThread(data.thread.id);
+      }
+      
       if (data.messages && data.messages.length > 0) {
-        // Clear default welcome message if we have history
-        chatMessages.innerHTML = '';
-        
-        data.messages.forEach(msg => {
-          addMessage(msg.content, msg.role);
-        });
+        showMessages(data.messages);
       }
     } catch (error) {
       console.error('Failed to load history:', error);
     }
+    
+    loadThreads();
   }
 
   /**
-   * Clear conversation
+   * Switch to another thread from the picker
+   * @param {string} threadId - Thread id
    */
-  async function clearConversation() {
-    if (!confirm('Clear conversation history?')) return;
+  async function openThread(threadId) {
+    if (isLoading || !threadId) return;
     
     try {
-      await fetch('/api/agent/clear', { method: 'POST' });
+      const response = await fetch('/api/agent/threads/' + encodeURIComponent(threadId));
+      if (!response.ok) {
+        throw new Error('Failed with status ' + response.status);
+      }
       
-      // Reset to default state
-      chatMessages.innerHTML = `
-        <div class="chat-message assistant">
-          <div class="message-content">
-            Hello! I'm your marble shopping assistant. How can I help you find the perfect marbles today? 🎱
-          </div>
-        </div>
-      `;
+      const data = await response.json();
+      setCurrentThread(data.thread.id);
+      showMessages(data.messages);
+    } catch (error) {
+      console.error('Failed to open thread:', error);
+    }
+    
+    loadThreads();
+  }
+
+  /**
+   * Start a new thread
+   */
+  async function newThread() {
+    if (isLoading) return;
+    
+    try {
+      const response = await fetch('/api/agent/threads', { method: 'POST' });
+      const data = await response.json();
       
-      // Show suggestions again
-      if (chatSuggestions) {
-        chatSuggestions.style.display = 'flex';
-      }
+      setCurrentThread(data.thread ? data.thread.id : null);
+      showWelcome();
+      chatInput.focus();
+    } catch (error) {
+      console.error('Failed to start thread:', error);
+    }
+    
+    loadThreads();
+  }
+
+  /**
+   * Update the current thread
+   * @param {Object} changes - { title } or { archived }
+   * @returns {Promise<boolean>} - Whether the update succeeded
+   */
+  async function updateThread(changes) {
+    const response = await fetch('/api/agent/threads/' + encodeURIComponent(currentThreadId), {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(changes)
+    });
+    return response.ok;
+  }
+
+  /**
+   * Rename the current thread
+   */
+  async function renameThread() {
+    if (!currentThreadId) return;
+    
+    const current = threadSelect ? threadSelect.options[threadSelect.selectedIndex]?.text : '';
+    const title = prompt('Name this conversation:', current || '');
+    if (!title || !title.trim()) return;
+    
+    try {
+      await updateThread({ title: title.trim() });
+    } catch (error) {
+      console.error('Failed to rename thread:', error);
+    }
+    
+    loadThreads();
+  }
+
+  /**
+   * Archive the current thread and start a fresh one
+   */
+  async function clearConversation() {
+    if (!currentThreadId) {
+      showWelcome();
+      return;
+    }
+    
+    if (!confirm('Archive this conversation? You can reopen it from the list.')) return;
+    
+    try {
+      await updateThread({ archived: true });
+      setCurrentThread(null);
+      await newThread();
     } catch (error) {
-      console.error('Failed to clear conversation:', error);
+      console.error('Failed to archive conversation:', error);
     }
   }
 
@@ -240,6 +527,18 @@
   
   chatClear.addEventListener('click', clearConversation);
   
+  if (threadSelect) {
+    threadSelect.addEventListener('change', () => openThread(threadSelect.value));
+  }
+  
+  if (threadNew) {
+    threadNew.addEventListener('click', newThread);
+  }
+  
+  if (threadRename) {
+    threadRename.addEventListener('click', renameThread);
+  }
+  
   if (chatSuggestions) {
     chatSuggestions.addEventListener('click', handleSuggestion);
   }
@@ -255,7 +554,8 @@
   window.lbinagChat = {
     toggle: toggleChat,
     send: sendMessage,
-    clear: clearConversation
+    clear: clearConversation,
+    newThread
   };
 
 })();
@@ -0,0 +1,151 @@
+/**
+ * Checkout Delivery Quote
+ * Updates delivery, the cash-on-delivery fee, TVA and the total as the
+ * customer fills in their city and country or changes payment method
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const form = document.querySelector('.checkout-page form');
+  const summary = document.querySelector('.checkout-page .order-summary');
+
+  if (!form || !summary) return;
+
+  const cityInput = form.elements.city;
+  const countryInput = form.elements.country;
+  const codRadio = form.querySelector('input[name="paymentMethod"][value="cash-on-delivery"]');
+  const transferRadio = form.querySelector('input[name="paymentMethod"][value="bank-transfer"]');
+  const note = form.querySelector('[data-quote="note"]');
+
+  // Wait this long after the last keystroke before asking the server
+  const DEBOUNCE_MS = 400;
+
+  // State
+  let debounceTimer = null;
+  let controller = null;
+
+  /**
+   * Set the text of a summary element, if the page has it
+   * @param {string} name - data-quote name
+   * @param {string} text - New text
+   */
+  function setText(name, text) {
+    const element = summary.querySelector(`[data-quote="${name}"]`);
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * The payment method currently chosen
+   * @returns {string}
+   */
+  function paymentMethod() {
+    const checked = form.querySelector('input[name="paymentMethod"]:checked');
+    return checked ? checked.value : 'cash-on-delivery';
+  }
+
+  /**
+   * Show a quote from the server in the summary and payment options
+   * @param {Object} quote - Response from /checkout/quote
+   */
+  function render(quote) {
+    if (quote.deliverable) {
+      setText('zone', `(${quote.zone}${quote.deliveryTime ? ', ' + quote.deliveryTime : ''})`);
+      setText('shipping', quote.shipping);
+    } else {
+      setText('zone', '');
+      setText('shipping', '—');
+    }
+
+    const codRow = summary.querySelector('[data-quote-row="codFee"]');
+    if (codRow) {
+      codRow.hidden = !quote.codFee;
+    }
+    setText('codFee', quote.codFee || '');
+    setText('taxTotal', quote.taxTotal);
+    setText('total', quote.total);
+
+    const freeShipping = summary.querySelector('[data-quote="freeShipping"]');
+    if (freeShipping) {
+      freeShipping.hidden = !quote.freeShippingRemaining;
+      freeShipping.textContent = quote.freeShippingRemaining
+        ? `Add ${quote.freeShippingRemaining} more for free delivery.`
+        : '';
+    }
+
+    // Cash on delivery depends on the zone; fall back to bank transfer where it isn't offered
+    if (codRadio) {
+      codRadio.disabled = !quote.cashOnDelivery;
+      if (!quote.cashOnDelivery && codRadio.checked && transferRadio) {
+        transferRadio.checked = true;
+        fetchQuote();
+      }
+    }
+
+    if (note) {
+      if (!quote.deliverable) {
+        note.textContent = "Sorry, we don't deliver to this address yet.";
+      } else if (!quote.cashOnDelivery) {
+        note.textContent = "Cash on delivery isn't available for this destination.";
+      } else {
+        note.textContent = '';
+      }
+    }
+  }
+
+  /**
+   * Ask the server for delivery costs to the address entered, cancelling any request still in flight
+   */
+  async function fetchQuote() {
+    if (controller) {
+      controller.abort();
+    }
+    controller = new AbortController();
+
+    const params = new URLSearchParams({
+      city: cityInput.value.trim(),
+      country: countryInput.value.trim(),
+      paymentMethod: paymentMethod()
+    });
+
+    try {
+      const response = await fetch('/checkout/quote?' + params.toString(), {
+        signal: controller.signal
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        render(data);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to update delivery costs:', error);
+      }
+    }
+  }
+
+  /**
+   * Fetch a new quote once the customer stops typing
+   */
+  function scheduleQuote() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(fetchQuote, DEBOUNCE_MS);
+  }
+
+  // Event Listeners
+  cityInput.addEventListener('input', scheduleQuote);
+  countryInput.addEventListener('input', scheduleQuote);
+
+  form.querySelectorAll('input[name="paymentMethod"]').forEach(function(radio) {
+    radio.addEventListener('change', fetchQuote);
+  });
+
+  // Browsers may refill the address after a back navigation
+  if (cityInput.value.trim()) {
+    fetchQuote();
+  }
+
+})();
@@ -0,0 +1,147 @@
+/**
+ * Product Page
+ * Image gallery with a zoom viewer, and the variant picker that updates
+ * the price (struck through when on sale), picture and quantity limit when a size is chosen
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const imageEl = document.getElementById('product-image');
+  const zoomTrigger = document.getElementById('product-zoom');
+  const thumbs = document.getElementById('product-thumbs');
+  const viewer = document.getElementById('image-viewer');
+  const viewerImage = document.getElementById('image-viewer-image');
+  const picker = document.querySelector('.variant-picker');
+  const priceEl = document.getElementById('product-price');
+  const quantityInput = document.getElementById('quantity');
+
+  // State
+  const images = thumbs
+    ? Array.from(thumbs.querySelectorAll('.product-thumb-button')).map(function(button) {
+      const img = button.querySelector('img');
+      return { url: button.dataset.url, srcset: img.getAttribute('srcset') || '', alt: img.alt };
+    })
+    : (imageEl ? [{ url: imageEl.src, srcset: imageEl.getAttribute('srcset') || '', alt: imageEl.alt }] : []);
+  let current = 0;
+
+  /**
+   * Point an image element at a picture, with its resized copies when it has them
+   * @param {HTMLImageElement} img - Element to update
+   * @param {Object} image - { url, srcset, alt }
+   * @param {string} sizes - sizes attribute for the srcset
+   */
+  function setSource(img, image, sizes) {
+    if (image.srcset) {
+      img.sizes = sizes;
+      img.srcset = image.srcset;
+    } else {
+      img.removeAttribute('srcset');
+    }
+    img.src = image.url;
+    img.alt = image.alt;
+  }
+
+  /**
+   * Show one of the product's images in the gallery (and the viewer, if open)
+   * @param {number} index - Image index, wraps around
+   */
+  function showImage(index) {
+    if (images.length === 0) return;
+
+    current = (index + images.length) % images.length;
+    const image = images[current];
+
+    setSource(imageEl, image, '(max-width: 900px) 100vw, 600px');
+    setSource(viewerImage, image, '90vw');
+
+    if (thumbs) {
+      thumbs.querySelectorAll('.product-thumb-button').forEach(function(button, i) {
+        button.classList.toggle('active', i === current);
+      });
+    }
+  }
+
+  /**
+   * Show the details of the chosen variant
+   * @param {HTMLInputElement} option - Checked radio input
+   */
+  function selectVariant(option) {
+    if (priceEl) {
+      priceEl.textContent = '';
+      if (option.dataset.listPrice) {
+        const was = document.createElement('s');
+        was.className = 'price-was';
+        was.textContent = option.dataset.listPrice + ' Dh';
+        const sale = document.createElement('span');
+        sale.className = 'price-sale';
+        sale.textContent = option.dataset.price + ' Dh';
+        priceEl.append(was, ' ', sale);
+      } else {
+        priceEl.textContent = option.dataset.price + ' Dh';
+      }
+    }
+
+    // Variants without their own picture go back to the product's images
+    if (imageEl) {
+      if (option.dataset.image) {
+        const image = { url: option.dataset.image, srcset: '', alt: imageEl.alt };
+        setSource(imageEl, image, '');
+        setSource(viewerImage, image, '');
+      } else {
+        showImage(current);
+      }
+    }
+
+    if (quantityInput) {
+      quantityInput.max = option.dataset.stock;
+      if (parseInt(quantityInput.value) > parseInt(option.dataset.stock)) {
+        quantityInput.value = option.dataset.stock;
+      }
+    }
+  }
+
+  // Event Listeners
+  if (thumbs) {
+    thumbs.addEventListener('click', function(e) {
+      const button = e.target.closest('.product-thumb-button');
+      if (button) {
+        showImage(parseInt(button.dataset.index));
+      }
+    });
+  }
+
+  if (zoomTrigger && viewer) {
+    zoomTrigger.addEventListener('click', function() {
+      viewer.showModal();
+    });
+
+    viewer.addEventListener('click', function(e) {
+      if (e.target === viewer || e.target.closest('.image-viewer-close')) {
+        viewer.close();
+      } else if (e.target.closest('.image-viewer-prev')) {
+        showImage(current - 1);
+      } else if (e.target.closest('.image-viewer-next')) {
+        showImage(current + 1);
+      }
+    });
+
+    viewer.addEventListener('keydown', function(e) {
+      if (e.key === 'ArrowLeft') {
+        showImage(current - 1);
+      } else if (e.key === 'ArrowRight') {
+        showImage(current + 1);
+      }
+    });
+  }
+
+  if (picker) {
+    picker.addEventListener('change', function(e) {
+      if (e.target.name === 'variantId') {
+        selectVariant(e.target);
+      }
+    });
+  }
+
+})();
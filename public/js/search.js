@@ -0,0 +1,198 @@
+/**
+ * Header Search Autocomplete
+ * Suggests products and categories as the visitor types in the navbar search
+ */
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const searchForm = document.querySelector('.navbar-search');
+  const searchInput = searchForm ? searchForm.querySelector('.navbar-search-input') : null;
+
+  if (!searchForm || !searchInput) return;
+
+  // Wait this long after the last keystroke before asking the server
+  const DEBOUNCE_MS = 200;
+  const MIN_QUERY_LENGTH = 2;
+
+  const dropdown = document.createElement('div');
+  dropdown.id = 'search-suggestions';
+  dropdown.className = 'search-suggestions';
+  dropdown.setAttribute('role', 'listbox');
+  searchForm.appendChild(dropdown);
+
+  searchInput.setAttribute('role', 'combobox');
+  searchInput.setAttribute('aria-autocomplete', 'list');
+  searchInput.setAttribute('aria-controls', dropdown.id);
+  searchInput.setAttribute('aria-expanded', 'false');
+  searchInput.setAttribute('autocomplete', 'off');
+
+  // State
+  let debounceTimer = null;
+  let controller = null;
+  let items = [];
+  let activeIndex = -1;
+
+  /**
+   * Escape HTML to prevent XSS
+   * @param {string} text - Text to escape
+   * @returns {string} - Escaped text
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Hide the dropdown
+   */
+  function close() {
+    dropdown.classList.remove('open');
+    dropdown.innerHTML = '';
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.removeAttribute('aria-activedescendant');
+    items = [];
+    activeIndex = -1;
+  }
+
+  /**
+   * Highlight one suggestion for keyboard navigation
+   * @param {number} index - Suggestion index, -1 for none
+   */
+  function setActive(index) {
+    items.forEach((item, i) => item.classList.toggle('active', i === index));
+    activeIndex = index;
+
+    if (index >= 0) {
+      searchInput.setAttribute('aria-activedescendant', items[index].id);
+      items[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      searchInput.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Show suggestions from the API
+   * @param {Object} data - { products, colors }
+   */
+  function render(data) {
+    const products = data.products || [];
+    const colors = data.colors || [];
+
+    if (products.length === 0 && colors.length === 0) {
+      close();
+      return;
+    }
+
+    let html = '';
+
+    products.forEach((product, i) => {
+      const thumb = product.imageUrl
+        ? `<img src="${escapeHtml(product.imageUrl)}" alt="" class="suggestion-thumb">`
+        : `<span class="suggestion-thumb" style="background: ${escapeHtml(product.swatch)};"></span>`;
+
+      html += `<a href="${escapeHtml(product.url)}" class="suggestion-item" id="suggestion-p${i}" role="option">
+        ${thumb}
+        <span class="suggestion-name">${escapeHtml(product.name)}</span>
+        <span class="suggestion-price">${escapeHtml(product.priceText)} Dh</span>
+        <span class="color-badge" style="background: ${escapeHtml(product.swatch)};">${escapeHtml(product.category)}</span>
+      </a>`;
+    });
+
+    if (colors.length > 0) {
+      html += '<div class="suggestion-heading">Categories</div>';
+      colors.forEach((entry, i) => {
+        html += `<a href="${escapeHtml(entry.url)}" class="suggestion-item" id="suggestion-c${i}" role="option">
+          <span class="color-swatch" style="background: ${escapeHtml(entry.swatch)};"></span>
+          <span class="suggestion-name">${escapeHtml(entry.name)} marbles</span>
+        </a>`;
+      });
+    }
+
+    dropdown.innerHTML = html;
+    dropdown.classList.add('open');
+    searchInput.setAttribute('aria-expanded', 'true');
+
+    items = Array.from(dropdown.querySelectorAll('.suggestion-item'));
+    activeIndex = -1;
+  }
+
+  /**
+   * Fetch suggestions for the current input, cancelling any request still in flight
+   */
+  async function fetchSuggestions() {
+    const query = searchInput.value.trim();
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      close();
+      return;
+    }
+
+    if (controller) {
+      controller.abort();
+    }
+    controller = new AbortController();
+
+    try {
+      const response = await fetch('/api/products/suggest?q=' + encodeURIComponent(query), {
+        signal: controller.signal
+      });
+      const data = await response.json();
+
+      // Ignore answers for text the visitor has since changed
+      if (searchInput.value.trim() === query) {
+        render(data);
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to load suggestions:', error);
+      }
+    }
+  }
+
+  /**
+   * Handle arrow keys, Enter and Escape in the search input
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  function handleKeydown(e) {
+    if (!dropdown.classList.contains('open')) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive(activeIndex < items.length - 1 ? activeIndex + 1 : 0);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(activeIndex > 0 ? activeIndex - 1 : items.length - 1);
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      // Go to the chosen suggestion instead of submitting the search
+      e.preventDefault();
+      window.location.href = items[activeIndex].href;
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  }
+
+  // Event Listeners
+  searchInput.addEventListener('input', function() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(fetchSuggestions, DEBOUNCE_MS);
+  });
+
+  searchInput.addEventListener('keydown', handleKeydown);
+
+  // Close when focus or clicks go elsewhere
+  document.addEventListener('click', function(e) {
+    if (!searchForm.contains(e.target)) {
+      close();
+    }
+  });
+
+  searchInput.addEventListener('focus', function() {
+    if (searchInput.value.trim().length >= MIN_QUERY_LENGTH && items.length === 0) {
+      fetchSuggestions();
+    }
+  });
+
+})();
@@ -0,0 +1,75 @@
+/**
+ * Wishlist Buttons
+ * Saves and removes products without leaving the page, keeping every heart
+ * for the same product and the header count in step
+ */
+
+(function() {
+  'use strict';
+
+  const badge = document.querySelector('.wishlist-badge');
+
+  /**
+   * Show a product as saved or not in every wishlist button for it
+   * @param {string} productId - Product id
+   * @param {boolean} saved - Whether the product is on the wishlist
+   */
+  function updateButtons(productId, saved) {
+    document.querySelectorAll('.wishlist-toggle-form').forEach(function(form) {
+      if (form.elements.productId.value !== productId) return;
+
+      const button = form.querySelector('.wishlist-toggle');
+      button.classList.toggle('saved', saved);
+      button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+
+      const label = button.querySelector('.wishlist-label');
+      if (label) {
+        label.textContent = saved ? 'Saved to wishlist' : 'Save to wishlist';
+      }
+    });
+  }
+
+  /**
+   * Show the number of saved products in the header
+   * @param {number} count - Wishlist size
+   */
+  function updateBadge(count) {
+    if (!badge) return;
+    badge.textContent = count;
+    badge.hidden = count === 0;
+  }
+
+  // Event Listeners
+  document.addEventListener('submit', async function(e) {
+    const form = e.target.closest('.wishlist-toggle-form');
+    if (!form) return;
+
+    e.preventDefault();
+    const button = form.querySelector('.wishlist-toggle');
+    button.disabled = true;
+
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ productId: form.elements.productId.value })
+      });
+      const data = await response.json();
+
+      // Errors are shown on the wishlist page, which the plain form post lands on
+      if (!data.success) {
+        form.submit();
+        return;
+      }
+
+      updateButtons(form.elements.productId.value, data.saved);
+      updateBadge(data.wishlistCount);
+    } catch (error) {
+      // Fall back to a normal form post
+      form.submit();
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+})();
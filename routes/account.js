@@ -0,0 +1,71 @@
+import { Router } from 'express';
+import Order from '../models/Order.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = Router();
+
+// Every account page needs a signed-in user
+router.use(requireAuth);
+
+/**
+ * GET /account
+ * Account landing page - currently the order history
+ */
+router.get('/', (req, res) => {
+  res.redirect('/account/orders');
+});
+
+/**
+ * GET /account/orders
+ * List the signed-in user's orders
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const orders = await Order.findForUser(req.session.userId);
+
+    res.render('account/orders', {
+      title: 'My Orders - Lbinag',
+      orders
+    });
+  } catch (error) {
+    console.error('[Account] Error loading orders:', error);
+    res.render('account/orders', {
+      title: 'My Orders - Lbinag',
+      orders: [],
+      error: 'Failed to load your orders'
+    });
+  }
+});
+
+/**
+ * GET /account/orders/:orderNumber
+ * Display one of the signed-in user's orders
+ */
+router.get('/orders/:orderNumber', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: req.params.orderNumber,
+      userId: req.session.userId
+    }).lean();
+
+    if (!order) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+
+    res.render('order', {
+      title: `Order ${order.orderNumber} - Lbinag`,
+      order
+    });
+  } catch (error) {
+    console.error('[Account] Error loading order:', error);
+    res.render('error', {
+      title: 'Error',
+      message: 'Failed to load order'
+    });
+  }
+});
+
+export default router;
@@ -1,39 +1,29 @@
 import { Router } from 'express';
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import Product from '../models/Product.js';
+import mongoose from 'mongoose';
+import Product, { VARIANT_SIZES, MAX_PRODUCT_IMAGES, productImages, productFileUrls, parseTags } from '../models/Product.js';
+import Category, { slugify } from '../models/Category.js';
+import Order, { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS } from '../models/Order.js';
+import Review, { REVIEW_STATUSES } from '../models/Review.js';
+import StockSubscription from '../models/StockSubscription.js';
+import Promotion, { PROMOTION_KINDS } from '../models/Promotion.js';
+import ShippingZone from '../models/ShippingZone.js';
+import { toCsv } from '../services/csv.js';
+import { formatDh } from '../services/money.js';
+import { uploadUrl, deleteUploads } from '../services/uploads.js';
+import { processUploads } from '../services/images.js';
+import { notifySubscribers } from '../services/notifications.js';
+import { describeOffer } from '../services/pricing.js';
+import { IMPORT_FORMATS, exportProducts, planImport, commitImport, savePendingImport, loadPendingImport, discardPendingImport } from '../services/bulkProducts.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = Router();
 
-// ES Module __dirname equivalent
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Ensure uploads directory exists
-const uploadsDir = path.resolve(__dirname, '../public/uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Available colors
-const COLORS = ['red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'white', 'black', 'multicolor'];
-
-// Configure multer for image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, 'product-' + uniqueSuffix + ext);
-  }
-});
-
+// Configure multer for image uploads. Files are kept in memory and written by the
+// image pipeline, which checks their real type and makes the resized copies.
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: function (req, file, cb) {
     const allowedTypes = /jpeg|jpg|png|gif|webp/;
@@ -46,6 +36,194 @@ const upload = multer({
   }
 });
 
+// Bulk imports: a catalog file (CSV or JSON) and an optional zip of pictures
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit, for the pictures zip
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase().slice(1);
+    if (file.fieldname === 'catalog' && IMPORT_FORMATS.includes(ext)) {
+      return cb(null, true);
+    }
+    if (file.fieldname === 'images' && ext === 'zip') {
+      return cb(null, true);
+    }
+    cb(new Error('Upload the catalog as a .csv or .json file, and pictures as a .zip'));
+  }
+});
+
+// Creating and deleting products is admin-only; staff may only adjust stock
+const adminOnly = requireRole('admin');
+
+/**
+ * Parse the edit form: admins may upload product and variant images, staff only send text fields
+ */
+function uploadForRole(req, res, next) {
+  if (req.userRole === 'admin') {
+    return upload.any()(req, res, next);
+  }
+  upload.none()(req, res, next);
+}
+
+/**
+ * Find an uploaded file by form field name
+ */
+function uploadedFile(req, fieldname) {
+  return (req.files || []).find(file => file.fieldname === fieldname) || null;
+}
+
+/**
+ * Delete the files uploaded with a request that was rejected, so they aren't orphaned
+ */
+async function discardUploads(req) {
+  await deleteUploads((req.files || []).filter(file => file.filename).map(uploadUrl));
+}
+
+/**
+ * Parse the images section of the admin form
+ * Existing images are matched by URL (anything else sent is ignored), kept in form order
+ * with their alt text, and the chosen primary image is moved first. New uploads go last.
+ * @param {Object} req - Request with body.images, body.primaryImage and uploaded files
+ * @param {Object|null} product - Product being edited
+ * @returns {Object} - { images, removedFiles } or { error }
+ */
+function parseImages(req, product) {
+  const current = product ? productImages(product, { fallbackAlt: false }) : [];
+  const images = [];
+
+  for (const row of Object.values(req.body.images || {})) {
+    const image = row ? current.find(i => i.url === row.url) : null;
+    if (!image || row.remove || images.some(i => i.url === image.url)) {
+      continue;
+    }
+    images.push({ url: image.url, alt: typeof row.alt === 'string' ? row.alt.trim() : image.alt });
+  }
+
+  const primaryIndex = images.findIndex(i => i.url === req.body.primaryImage);
+  if (primaryIndex > 0) {
+    images.unshift(...images.splice(primaryIndex, 1));
+  }
+
+  for (const file of req.files || []) {
+    if (file.fieldname === 'images') {
+      images.push({ url: uploadUrl(file), alt: '' });
+    }
+  }
+
+  if (images.length > MAX_PRODUCT_IMAGES) {
+    return { error: `A product can have at most ${MAX_PRODUCT_IMAGES} images` };
+  }
+
+  return {
+    images,
+    removedFiles: current.map(i => i.url).filter(url => !images.some(i => i.url === url))
+  };
+}
+
+/**
+ * Rows for the variants table: the product's variants, plus a blank row for admins to add one
+ */
+function buildVariantRows(product, isAdmin) {
+  const rows = product && product.variants ? [...product.variants] : [];
+  if (isAdmin) {
+    rows.push({ sku: '', size: 'standard', packSize: 1, price: '', stockCount: 0 });
+  }
+  return rows;
+}
+
+/**
+ * Parse the variants table from the admin form
+ * Rows with an empty SKU or ticked for removal are dropped.
+ * @param {Object} req - Request with body.variants and uploaded variant images
+ * @param {Object|null} product - Product being edited, for existing variant images
+ * @returns {Object} - { variants, removedFiles: replaced or dropped variant images } or { error }
+ */
+function parseVariants(req, product) {
+  const rows = Object.entries(req.body.variants || {});
+  const variants = [];
+  const removedFiles = [];
+
+  for (const [index, row] of rows) {
+    if (!row || row.remove || !row.sku || !row.sku.trim()) {
+      continue;
+    }
+
+    const sku = row.sku.trim().toUpperCase();
+    const price = parseFloat(row.price);
+    const packSize = parseInt(row.packSize) || 1;
+
+    if (!VARIANT_SIZES.includes(row.size)) {
+      return { error: `Variant ${sku} needs a size` };
+    }
+    if (isNaN(price) || price < 0) {
+      return { error: `Variant ${sku} needs a valid price` };
+    }
+
+    const existing = row._id && product ? product.variants.id(row._id) : null;
+    const image = uploadedFile(req, `variantImage-${index}`);
+    if (image && existing && existing.imageUrl) {
+      removedFiles.push(existing.imageUrl);
+    }
+
+    variants.push({
+      ...(existing ? { _id: existing._id } : {}),
+      sku,
+      size: row.size,
+      packSize: Math.max(packSize, 1),
+      price,
+      stockCount: Math.max(parseInt(row.stockCount) || 0, 0),
+      imageUrl: image ? uploadUrl(image) : (existing ? existing.imageUrl : '')
+    });
+  }
+
+  // Pictures of variants that were removed go too
+  if (product) {
+    const kept = new Set(variants.filter(v => v._id).map(v => v._id.toString()));
+    product.variants
+      .filter(v => !kept.has(v._id.toString()) && v.imageUrl)
+      .forEach(v => removedFiles.push(v.imageUrl));
+  }
+
+  return { variants, removedFiles };
+}
+
+/**
+ * Read the shipping weight (grams) and dimensions (cm) fields; empty dimensions are unknown
+ */
+function parseParcel(body) {
+  const parseSize = value => String(value ?? '').trim() ? Math.max(parseFloat(value) || 0, 0) : null;
+  return {
+    weight: Math.max(parseFloat(body.weight) || 0, 0),
+    dimensions: {
+      length: parseSize(body.length),
+      width: parseSize(body.width),
+      height: parseSize(body.height)
+    }
+  };
+}
+
+const INVALID_STOCK = 'Stock must be a whole number of 0 or more';
+
+/**
+ * Read a stock count field: a whole number of 0 or more, or null if it isn't one
+ */
+function parseStockCount(value) {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * Turn a product save error into a message for the form
+ */
+function productErrorMessage(error) {
+  if (error.code === 11000) {
+    return error.keyPattern && error.keyPattern.slug
+      ? 'Another product already uses that slug'
+      : 'Another product already uses one of these SKUs';
+  }
+  return error.message;
+}
+
 /**
  * GET /admin/products
  * List all products
@@ -81,11 +259,15 @@ router.get('/products', async (req, res) => {
  * GET /admin/products/new
  * Show create product form
  */
-router.get('/products/new', (req, res) => {
+router.get('/products/new', adminOnly, (req, res) => {
   res.render('admin/product-form', {
     title: 'Admin - New Product',
-    colors: COLORS,
+    sizes: VARIANT_SIZES,
     product: null,
+    tags: '',
+    images: [],
+    maxImages: MAX_PRODUCT_IMAGES,
+    variantRows: buildVariantRows(null, true),
     isEdit: false,
     error: req.query.error
   });
@@ -95,35 +277,47 @@ router.get('/products/new', (req, res) => {
  * POST /admin/products/new
  * Create new product
  */
-router.post('/products/new', upload.single('image'), async (req, res) => {
+router.post('/products/new', adminOnly, upload.any(), async (req, res) => {
   try {
+    await processUploads(req);
     const { name, description, price, color, stockCount } = req.body;
+    const variantResult = parseVariants(req, null);
+    const imageResult = parseImages(req, null);
+    const error = variantResult.error || imageResult.error;
+    const variants = variantResult.variants || [];
     
     // Validation
-    if (!name || !name.trim()) {
-      return res.redirect('/admin/products/new?error=Product name is required');
-    }
-    if (!price || isNaN(parseFloat(price))) {
-      return res.redirect('/admin/products/new?error=Valid price is required');
+    let invalid = error;
+    if (!invalid && (!name || !name.trim())) {
+      invalid = 'Product name is required';
+    } else if (!invalid && variants.length === 0 && (!price || isNaN(parseFloat(price)))) {
+      invalid = 'Valid price is required';
+    } else if (!invalid && variants.length === 0 && stockCount !== undefined && parseStockCount(stockCount) === null) {
+      invalid = INVALID_STOCK;
+    } else if (!invalid && !color) {
+      invalid = 'Category is required';
     }
-    if (!color) {
-      return res.redirect('/admin/products/new?error=Color is required');
+    if (invalid) {
+      await discardUploads(req);
+      return res.redirect('/admin/products/new?error=' + encodeURIComponent(invalid));
     }
     
-    // Handle image
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = '/uploads/' + req.file.filename;
-      console.log('[Admin] Image uploaded:', imageUrl);
+    if (imageResult.images.length > 0) {
+      console.log('[Admin] Images uploaded:', imageResult.images.length);
     }
     
+    // Price and stock are derived from the variants when there are any
     const product = new Product({
       name: name.trim(),
+      slug: slugify(req.body.slug) || undefined,
       description: description ? description.trim() : '',
-      price: parseFloat(price),
+      price: parseFloat(price) || 0,
       color: color,
-      stockCount: parseInt(stockCount) || 100,
-      imageUrl: imageUrl
+      tags: parseTags(req.body.tags),
+      stockCount: parseStockCount(stockCount) ?? 100,
+      ...parseParcel(req.body),
+      images: imageResult.images,
+      variants
     });
     
     await product.save();
@@ -132,7 +326,8 @@ router.post('/products/new', upload.single('image'), async (req, res) => {
     res.redirect('/admin/products?success=Product created successfully');
   } catch (error) {
     console.error('[Admin] Error creating product:', error);
-    res.redirect('/admin/products/new?error=' + encodeURIComponent(error.message));
+    await discardUploads(req);
+    res.redirect('/admin/products/new?error=' + encodeURIComponent(productErrorMessage(error)));
   }
 });
 
@@ -151,8 +346,12 @@ router.get('/products/:id/edit', async (req, res) => {
     
     res.render('admin/product-form', {
       title: 'Admin - Edit Product',
-      colors: COLORS,
+      sizes: VARIANT_SIZES,
       product: product,
+      tags: (product.tags || []).join(', '),
+      images: productImages(product, { fallbackAlt: false }),
+      maxImages: MAX_PRODUCT_IMAGES,
+      variantRows: buildVariantRows(product, res.locals.isAdmin),
       isEdit: true,
       error: req.query.error
     });
@@ -162,11 +361,23 @@ router.get('/products/:id/edit', async (req, res) => {
   }
 });
 
+/**
+ * Email subscribers about a restock or price drop in the background, so saving
+ * the product doesn't wait on the mail server
+ * @param {Object} product - Saved product
+ * @param {Object} previous - { stockCount, price } before the edit
+ */
+function alertSubscribers(product, previous) {
+  notifySubscribers(product, previous).catch(error => {
+    console.error('[Admin] Error sending product alerts:', error);
+  });
+}
+
 /**
  * POST /admin/products/:id/edit
  * Update product
  */
-router.post('/products/:id/edit', upload.single('image'), async (req, res) => {
+router.post('/products/:id/edit', uploadForRole, async (req, res) => {
   try {
     const { name, description, price, color, stockCount } = req.body;
     const productId = req.params.id;
@@ -176,34 +387,86 @@ router.post('/products/:id/edit', upload.single('image'), async (req, res) => {
       return res.redirect('/admin/products?error=Product not found');
     }
     
+    // Compared after saving to email "notify me" subscribers about restocks and price drops
+    const previous = { stockCount: product.stockCount, price: product.price };
+    
+    // Staff can only change stock (per variant when the product has variants)
+    if (req.userRole !== 'admin') {
+      const invalidStock = () => res.redirect(`/admin/products/${productId}/edit?error=` +
+        encodeURIComponent(INVALID_STOCK));
+      
+      if (product.variants.length > 0) {
+        for (const row of Object.values(req.body.variants || {})) {
+          const variant = row && row._id ? product.variants.id(row._id) : null;
+          if (variant) {
+            const count = parseStockCount(row.stockCount);
+            if (count === null) {
+              return invalidStock();
+            }
+            variant.stockCount = count;
+          }
+        }
+      } else {
+        const count = parseStockCount(stockCount);
+        if (count === null) {
+          return invalidStock();
+        }
+        product.stockCount = count;
+      }
+      await product.save();
+      console.log('[Admin] Stock updated by staff:', product.name, product.stockCount);
+      alertSubscribers(product, previous);
+      return res.redirect('/admin/products?success=Stock updated successfully');
+    }
+    
+    await processUploads(req);
+    const variantResult = parseVariants(req, product);
+    const imageResult = parseImages(req, product);
+    const variants = variantResult.variants || [];
+    
     // Validation
-    if (!name || !name.trim()) {
-      return res.redirect(`/admin/products/${productId}/edit?error=Product name is required`);
+    let invalid = variantResult.error || imageResult.error;
+    if (!invalid && (!name || !name.trim())) {
+      invalid = 'Product name is required';
+    } else if (!invalid && variants.length === 0 && (!price || isNaN(parseFloat(price)))) {
+      invalid = 'Valid price is required';
+    } else if (!invalid && variants.length === 0 && stockCount !== undefined && parseStockCount(stockCount) === null) {
+      invalid = INVALID_STOCK;
     }
-    if (!price || isNaN(parseFloat(price))) {
-      return res.redirect(`/admin/products/${productId}/edit?error=Valid price is required`);
+    if (invalid) {
+      await discardUploads(req);
+      return res.redirect(`/admin/products/${productId}/edit?error=` + encodeURIComponent(invalid));
     }
     
-    // Update fields
+    // Update fields (price and stock are re-derived on save when there are variants)
     product.name = name.trim();
+    product.slug = slugify(req.body.slug) || product.slug;
     product.description = description ? description.trim() : '';
-    product.price = parseFloat(price);
     product.color = color || product.color;
-    product.stockCount = parseInt(stockCount) || 0;
-    
-    // Update image if new one uploaded
-    if (req.file) {
-      product.imageUrl = '/uploads/' + req.file.filename;
-      console.log('[Admin] New image uploaded:', product.imageUrl);
+    product.tags = parseTags(req.body.tags);
+    product.set(parseParcel(req.body));
+    product.variants = variants;
+    if (variants.length === 0) {
+      product.price = parseFloat(price);
+      // The stock field is disabled while a product has variants, so keep the total when they're all removed
+      product.stockCount = stockCount !== undefined ? parseStockCount(stockCount) : product.stockCount;
     }
     
+    // The primary image (images[0]) becomes imageUrl on save
+    product.images = imageResult.images;
+    
     await product.save();
     console.log('[Admin] Product updated:', product.name);
+    alertSubscribers(product, previous);
+    
+    // Only delete replaced and removed files once the product no longer points at them
+    await deleteUploads([...imageResult.removedFiles, ...variantResult.removedFiles]);
     
     res.redirect('/admin/products?success=Product updated successfully');
   } catch (error) {
     console.error('[Admin] Error updating product:', error);
-    res.redirect(`/admin/products/${req.params.id}/edit?error=` + encodeURIComponent(error.message));
+    await discardUploads(req);
+    res.redirect(`/admin/products/${req.params.id}/edit?error=` + encodeURIComponent(productErrorMessage(error)));
   }
 });
 
@@ -211,7 +474,7 @@ router.post('/products/:id/edit', upload.single('image'), async (req, res) => {
  * POST /admin/products/:id/delete
  * Delete product
  */
-router.post('/products/:id/delete', async (req, res) => {
+router.post('/products/:id/delete', adminOnly, async (req, res) => {
   try {
     const product = await Product.findByIdAndDelete(req.params.id);
     
@@ -219,6 +482,10 @@ router.post('/products/:id/delete', async (req, res) => {
       return res.redirect('/admin/products?error=Product not found');
     }
     
+    await deleteUploads(productFileUrls(product));
+    await Review.deleteMany({ product: product._id });
+    await StockSubscription.deleteMany({ product: product._id });
+    await Promotion.updateMany({ products: product._id }, { $pull: { products: product._id } });
     console.log('[Admin] Product deleted:', product.name);
     res.redirect('/admin/products?success=Product deleted successfully');
   } catch (error) {
@@ -227,4 +494,924 @@ router.post('/products/:id/delete', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/products/export.csv, /admin/products/export.json
+ * Download the full catalog, in the format the import reads
+ */
+router.get('/products/export.:format(csv|json)', async (req, res) => {
+  try {
+    const format = req.params.format;
+    const data = await exportProducts(format);
+    const filename = `lbinag-products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    
+    console.log('[Admin] Exporting products to', format.toUpperCase());
+    
+    res.set('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so Excel opens accented names correctly
+    res.send(format === 'csv' ? '\uFEFF' + data : data);
+  } catch (error) {
+    console.error('[Admin] Error exporting products:', error);
+    res.redirect('/admin/products?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * Shape an import plan for the preview page
+ */
+function importPreview(plan) {
+  return {
+    summary: plan.summary,
+    rows: plan.groups.map(group => ({
+      action: group.action,
+      name: group.name,
+      slug: group.product.slug || group.slug || '',
+      lines: group.labels.join(', '),
+      changes: group.changes.join(', '),
+      variantCount: group.variantCount,
+      errors: group.errors
+    }))
+  };
+}
+
+/**
+ * GET /admin/products/import
+ * Show the bulk import form
+ */
+router.get('/products/import', adminOnly, (req, res) => {
+  res.render('admin/product-import', {
+    title: 'Admin - Import Products',
+    error: req.query.error
+  });
+});
+
+/**
+ * POST /admin/products/import
+ * Dry run: read the uploaded files and preview what importing them would do.
+ * The files are kept for the commit step, which re-checks them against the catalog.
+ */
+router.post('/products/import', adminOnly, importUpload.fields([{ name: 'catalog', maxCount: 1 }, { name: 'images', maxCount: 1 }]), async (req, res) => {
+  try {
+    const catalog = req.files?.catalog?.[0];
+    if (!catalog) {
+      return res.redirect('/admin/products/import?error=' + encodeURIComponent('Choose a CSV or JSON file to import'));
+    }
+    
+    const upload = {
+      format: path.extname(catalog.originalname).toLowerCase().slice(1),
+      text: catalog.buffer.toString('utf8'),
+      zip: req.files.images?.[0]?.buffer || null
+    };
+    
+    const plan = await planImport(upload);
+    
+    await discardPendingImport(req.session.pendingImport);
+    req.session.pendingImport = await savePendingImport(upload);
+    
+    console.log('[Admin] Import preview:', catalog.originalname, plan.summary);
+    
+    res.render('admin/product-import', {
+      title: 'Admin - Import Products',
+      filename: catalog.originalname,
+      preview: importPreview(plan)
+    });
+  } catch (error) {
+    console.error('[Admin] Error previewing import:', error.message);
+    res.redirect('/admin/products/import?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/products/import/commit
+ * Import the previewed files; products with errors are skipped
+ */
+router.post('/products/import/commit', adminOnly, async (req, res) => {
+  const id = req.session.pendingImport;
+  
+  try {
+    const upload = await loadPendingImport(id);
+    if (!upload) {
+      return res.redirect('/admin/products/import?error=' + encodeURIComponent('That import has expired. Please upload the file again.'));
+    }
+    
+    const result = await commitImport(await planImport(upload));
+    
+    await discardPendingImport(id);
+    delete req.session.pendingImport;
+    
+    const message = `Import finished: ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`;
+    if (result.failures.length > 0) {
+      return res.redirect('/admin/products?error=' + encodeURIComponent(`${message}. ${result.failures.join('; ')}`));
+    }
+    res.redirect('/admin/products?success=' + encodeURIComponent(message));
+  } catch (error) {
+    console.error('[Admin] Error importing products:', error);
+    res.redirect('/admin/products/import?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * Read the category form fields
+ * The slug is made from the name when left empty.
+ */
+function parseCategoryForm(body) {
+  return {
+    name: (body.name || '').trim(),
+    slug: slugify(body.slug || body.name),
+    swatch: (body.swatch || '').trim() || undefined,
+    description: (body.description || '').trim(),
+    sortOrder: parseInt(body.sortOrder) || 0
+  };
+}
+
+/**
+ * Turn a category save error into a message for the form
+ */
+function categoryErrorMessage(error) {
+  if (error.code === 11000) {
+    return 'Another category already uses that slug';
+  }
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(e => e.message).join('. ');
+  }
+  return error.message;
+}
+
+/**
+ * GET /admin/categories
+ * List categories with how many products each has
+ */
+router.get('/categories', adminOnly, async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ sortOrder: 1, name: 1 }).lean(),
+      Product.aggregate([{ $group: { _id: '$color', count: { $sum: 1 } } }])
+    ]);
+    const productCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    
+    res.render('admin/categories', {
+      title: 'Admin - Categories',
+      categories: categories.map(c => ({ ...c, productCount: productCounts[c.slug] || 0 })),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading categories:', error);
+    res.render('admin/categories', {
+      title: 'Admin - Categories',
+      categories: [],
+      error: 'Failed to load categories: ' + error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/categories/new
+ * Show create category form
+ */
+router.get('/categories/new', adminOnly, (req, res) => {
+  res.render('admin/category-form', {
+    title: 'Admin - New Category',
+    category: null,
+    isEdit: false,
+    error: req.query.error
+  });
+});
+
+/**
+ * POST /admin/categories/new
+ * Create new category
+ */
+router.post('/categories/new', adminOnly, async (req, res) => {
+  try {
+    const fields = parseCategoryForm(req.body);
+    if (!fields.name) {
+      return res.redirect('/admin/categories/new?error=' + encodeURIComponent('Category name is required'));
+    }
+    
+    const category = await Category.create(fields);
+    console.log('[Admin] Category created:', category.name, category.slug);
+    
+    res.redirect('/admin/categories?success=Category created successfully');
+  } catch (error) {
+    console.error('[Admin] Error creating category:', error.message);
+    res.redirect('/admin/categories/new?error=' + encodeURIComponent(categoryErrorMessage(error)));
+  }
+});
+
+/**
+ * GET /admin/categories/:id/edit
+ * Show edit category form
+ */
+router.get('/categories/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).lean();
+    
+    if (!category) {
+      return res.redirect('/admin/categories?error=Category not found');
+    }
+    
+    res.render('admin/category-form', {
+      title: 'Admin - Edit Category',
+      category,
+      isEdit: true,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading category:', error);
+    res.redirect('/admin/categories?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/categories/:id/edit
+ * Update category. Products follow a slug change, since they reference the slug.
+ */
+router.post('/categories/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.redirect('/admin/categories?error=Category not found');
+    }
+    
+    const fields = parseCategoryForm(req.body);
+    if (!fields.name) {
+      return res.redirect(`/admin/categories/${category._id}/edit?error=` + encodeURIComponent('Category name is required'));
+    }
+    
+    const oldSlug = category.slug;
+    category.set(fields);
+    await category.save();
+    
+    if (category.slug !== oldSlug) {
+      const result = await Product.updateMany({ color: oldSlug }, { $set: { color: category.slug } });
+      await Promotion.updateMany({ categories: oldSlug }, { $set: { 'categories.$': category.slug } });
+      console.log(`[Admin] Category slug ${oldSlug} -> ${category.slug}, ${result.modifiedCount} product(s) moved`);
+    }
+    console.log('[Admin] Category updated:', category.name);
+    
+    res.redirect('/admin/categories?success=Category updated successfully');
+  } catch (error) {
+    console.error('[Admin] Error updating category:', error.message);
+    res.redirect(`/admin/categories/${req.params.id}/edit?error=` + encodeURIComponent(categoryErrorMessage(error)));
+  }
+});
+
+/**
+ * POST /admin/categories/:id/delete
+ * Delete a category that no product uses
+ */
+router.post('/categories/:id/delete', adminOnly, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.redirect('/admin/categories?error=Category not found');
+    }
+    
+    const productCount = await Product.countDocuments({ color: category.slug });
+    if (productCount > 0) {
+      return res.redirect('/admin/categories?error=' + encodeURIComponent(
+        `${category.name} still has ${productCount} product(s). Move them to another category first.`
+      ));
+    }
+    
+    await category.deleteOne();
+    console.log('[Admin] Category deleted:', category.name);
+    res.redirect('/admin/categories?success=Category deleted successfully');
+  } catch (error) {
+    console.error('[Admin] Error deleting category:', error);
+    res.redirect('/admin/categories?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * Format a date for a datetime-local input, in server time
+ */
+function toDateTimeInput(date) {
+  if (!date) {
+    return '';
+  }
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Where a promotion stands right now, for the list
+ */
+function promotionStatus(promotion, now = new Date()) {
+  if (!promotion.active) {
+    return 'off';
+  }
+  if (promotion.startsAt && promotion.startsAt > now) {
+    return 'scheduled';
+  }
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    return 'ended';
+  }
+  if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) {
+    return 'used up';
+  }
+  return 'live';
+}
+
+/**
+ * Read the promotion form fields
+ * Products are entered as slugs; unknown ones are reported rather than dropped.
+ */
+async function parsePromotionForm(body) {
+  const slugs = [...new Set(String(body.products || '').toLowerCase().split(/[\s,]+/).filter(Boolean))];
+  const products = slugs.length > 0 ? await Product.find({ slug: { $in: slugs } }, { slug: 1 }).lean() : [];
+  const missing = slugs.filter(slug => !products.some(p => p.slug === slug));
+  if (missing.length > 0) {
+    throw new Error(`No product with the slug ${missing.join(', ')}`);
+  }
+
+  const parseDate = value => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+  };
+  const parseLimit = value => parseInt(value) > 0 ? parseInt(value) : null;
+
+  return {
+    name: (body.name || '').trim(),
+    description: (body.description || '').trim(),
+    code: (body.code || '').trim(),
+    kind: body.kind,
+    value: parseFloat(body.value) || 0,
+    buyQuantity: parseInt(body.buyQuantity) || 0,
+    getQuantity: parseInt(body.getQuantity) || 0,
+    products: products.map(p => p._id),
+    categories: [].concat(body.categories || []).filter(Boolean),
+    packsOnly: body.packsOnly === 'on',
+    minSubtotal: parseFloat(body.minSubtotal) || 0,
+    maxUses: parseLimit(body.maxUses),
+    maxUsesPerCustomer: parseLimit(body.maxUsesPerCustomer),
+    startsAt: parseDate(body.startsAt),
+    endsAt: parseDate(body.endsAt),
+    active: body.active === 'on',
+    public: body.public === 'on'
+  };
+}
+
+/**
+ * Turn a promotion save error into a message for the form
+ */
+function promotionErrorMessage(error) {
+  if (error.code === 11000) {
+    return 'Another promotion already uses that code';
+  }
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(e => e.message).join('. ');
+  }
+  return error.message;
+}
+
+/**
+ * Render the promotion form, with the products as slugs and dates ready for the inputs
+ */
+async function renderPromotionForm(res, promotion, { isEdit, error }) {
+  const products = promotion && promotion.products.length > 0
+    ? await Product.find({ _id: { $in: promotion.products } }, { slug: 1 }).lean()
+    : [];
+
+  res.render('admin/promotion-form', {
+    title: isEdit ? 'Admin - Edit Promotion' : 'Admin - New Promotion',
+    promotion: promotion && {
+      ...promotion,
+      productSlugs: products.map(p => p.slug).join(', '),
+      startsAtInput: toDateTimeInput(promotion.startsAt),
+      endsAtInput: toDateTimeInput(promotion.endsAt)
+    },
+    kinds: PROMOTION_KINDS,
+    isEdit,
+    error
+  });
+}
+
+/**
+ * GET /admin/promotions
+ * List promotions with their status and uses
+ */
+router.get('/promotions', adminOnly, async (req, res) => {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 }).lean();
+    const now = new Date();
+    
+    res.render('admin/promotions', {
+      title: 'Admin - Promotions',
+      promotions: promotions.map(p => ({
+        ...p,
+        offer: describeOffer(p),
+        status: promotionStatus(p, now),
+        covers: p.products.length + p.categories.length > 0
+          ? [...p.categories, ...(p.products.length > 0 ? [`${p.products.length} product(s)`] : [])].join(', ')
+          : 'Everything'
+      })),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading promotions:', error);
+    res.render('admin/promotions', {
+      title: 'Admin - Promotions',
+      promotions: [],
+      error: 'Failed to load promotions: ' + error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/promotions/new
+ * Show create promotion form
+ */
+router.get('/promotions/new', adminOnly, async (req, res) => {
+  await renderPromotionForm(res, null, { isEdit: false, error: req.query.error });
+});
+
+/**
+ * POST /admin/promotions/new
+ * Create new promotion
+ */
+router.post('/promotions/new', adminOnly, async (req, res) => {
+  try {
+    const fields = await parsePromotionForm(req.body);
+    if (!fields.name) {
+      return res.redirect('/admin/promotions/new?error=' + encodeURIComponent('Promotion name is required'));
+    }
+    
+    const promotion = await Promotion.create(fields);
+    console.log('[Admin] Promotion created:', promotion.name, promotion.code || '(automatic)');
+    
+    res.redirect('/admin/promotions?success=Promotion created successfully');
+  } catch (error) {
+    console.error('[Admin] Error creating promotion:', error.message);
+    res.redirect('/admin/promotions/new?error=' + encodeURIComponent(promotionErrorMessage(error)));
+  }
+});
+
+/**
+ * GET /admin/promotions/:id/edit
+ * Show edit promotion form
+ */
+router.get('/promotions/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).lean();
+    
+    if (!promotion) {
+      return res.redirect('/admin/promotions?error=Promotion not found');
+    }
+    
+    await renderPromotionForm(res, promotion, { isEdit: true, error: req.query.error });
+  } catch (error) {
+    console.error('[Admin] Error loading promotion:', error);
+    res.redirect('/admin/promotions?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/promotions/:id/edit
+ * Update promotion. Orders already placed keep the discount they got.
+ */
+router.post('/promotions/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.redirect('/admin/promotions?error=Promotion not found');
+    }
+    
+    const fields = await parsePromotionForm(req.body);
+    if (!fields.name) {
+      return res.redirect(`/admin/promotions/${promotion._id}/edit?error=` + encodeURIComponent('Promotion name is required'));
+    }
+    
+    promotion.set(fields);
+    await promotion.save();
+    console.log('[Admin] Promotion updated:', promotion.name);
+    
+    res.redirect('/admin/promotions?success=Promotion updated successfully');
+  } catch (error) {
+    console.error('[Admin] Error updating promotion:', error.message);
+    res.redirect(`/admin/promotions/${req.params.id}/edit?error=` + encodeURIComponent(promotionErrorMessage(error)));
+  }
+});
+
+/**
+ * POST /admin/promotions/:id/delete
+ * Delete promotion. Orders keep their snapshot of the discount.
+ */
+router.post('/promotions/:id/delete', adminOnly, async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.redirect('/admin/promotions?error=Promotion not found');
+    }
+    
+    console.log('[Admin] Promotion deleted:', promotion.name);
+    res.redirect('/admin/promotions?success=Promotion deleted successfully');
+  } catch (error) {
+    console.error('[Admin] Error deleting promotion:', error);
+    res.redirect('/admin/promotions?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * Read the shipping zone form fields
+ * Countries and cities are comma-separated; an empty threshold means delivery is never free.
+ */
+function parseShippingZoneForm(body) {
+  const parseList = value => [...new Set(String(value || '').split(',').map(s => s.trim()).filter(Boolean))];
+  const parseAmount = value => Math.max(parseFloat(value) || 0, 0);
+
+  return {
+    name: (body.name || '').trim(),
+    countries: parseList(body.countries),
+    cities: parseList(body.cities),
+    rateBasis: body.rateBasis,
+    baseRate: parseAmount(body.baseRate),
+    includedUnits: parseAmount(body.includedUnits),
+    extraRate: parseAmount(body.extraRate),
+    freeShippingThreshold: String(body.freeShippingThreshold || '').trim() ? parseAmount(body.freeShippingThreshold) : null,
+    cashOnDelivery: body.cashOnDelivery === 'on',
+    codFee: parseAmount(body.codFee),
+    deliveryTime: (body.deliveryTime || '').trim(),
+    active: body.active === 'on',
+    sortOrder: parseInt(body.sortOrder) || 0
+  };
+}
+
+/**
+ * Turn a shipping zone save error into a message for the form
+ */
+function shippingZoneErrorMessage(error) {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(e => e.message).join('. ');
+  }
+  return error.message;
+}
+
+/**
+ * GET /admin/shipping
+ * List shipping zones in the order addresses are matched
+ */
+router.get('/shipping', adminOnly, async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ sortOrder: 1, createdAt: 1 }).lean();
+    
+    res.render('admin/shipping-zones', {
+      title: 'Admin - Shipping',
+      zones: zones.map(z => ({
+        ...z,
+        covers: [
+          z.countries.length > 0 ? z.countries.join(', ') : 'Any country',
+          ...(z.cities.length > 0 ? [z.cities.join(', ')] : [])
+        ].join(': ')
+      })),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading shipping zones:', error);
+    res.render('admin/shipping-zones', {
+      title: 'Admin - Shipping',
+      zones: [],
+      error: 'Failed to load shipping zones: ' + error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/shipping/new
+ * Show create shipping zone form
+ */
+router.get('/shipping/new', adminOnly, (req, res) => {
+  res.render('admin/shipping-zone-form', {
+    title: 'Admin - New Shipping Zone',
+    zone: null,
+    isEdit: false,
+    error: req.query.error
+  });
+});
+
+/**
+ * POST /admin/shipping/new
+ * Create new shipping zone
+ */
+router.post('/shipping/new', adminOnly, async (req, res) => {
+  try {
+    const fields = parseShippingZoneForm(req.body);
+    if (!fields.name) {
+      return res.redirect('/admin/shipping/new?error=' + encodeURIComponent('Zone name is required'));
+    }
+    
+    const zone = await ShippingZone.create(fields);
+    console.log('[Admin] Shipping zone created:', zone.name);
+    
+    res.redirect('/admin/shipping?success=Shipping zone created successfully');
+  } catch (error) {
+    console.error('[Admin] Error creating shipping zone:', error.message);
+    res.redirect('/admin/shipping/new?error=' + encodeURIComponent(shippingZoneErrorMessage(error)));
+  }
+});
+
+/**
+ * GET /admin/shipping/:id/edit
+ * Show edit shipping zone form
+ */
+router.get('/shipping/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id).lean();
+    
+    if (!zone) {
+      return res.redirect('/admin/shipping?error=Shipping zone not found');
+    }
+    
+    res.render('admin/shipping-zone-form', {
+      title: 'Admin - Edit Shipping Zone',
+      zone,
+      isEdit: true,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading shipping zone:', error);
+    res.redirect('/admin/shipping?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/shipping/:id/edit
+ * Update shipping zone. Orders already placed keep the delivery they were charged.
+ */
+router.post('/shipping/:id/edit', adminOnly, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.redirect('/admin/shipping?error=Shipping zone not found');
+    }
+    
+    const fields = parseShippingZoneForm(req.body);
+    if (!fields.name) {
+      return res.redirect(`/admin/shipping/${zone._id}/edit?error=` + encodeURIComponent('Zone name is required'));
+    }
+    
+    zone.set(fields);
+    await zone.save();
+    console.log('[Admin] Shipping zone updated:', zone.name);
+    
+    res.redirect('/admin/shipping?success=Shipping zone updated successfully');
+  } catch (error) {
+    console.error('[Admin] Error updating shipping zone:', error.message);
+    res.redirect(`/admin/shipping/${req.params.id}/edit?error=` + encodeURIComponent(shippingZoneErrorMessage(error)));
+  }
+});
+
+/**
+ * POST /admin/shipping/:id/delete
+ * Delete shipping zone. Addresses it covered fall to the next matching zone.
+ */
+router.post('/shipping/:id/delete', adminOnly, async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.redirect('/admin/shipping?error=Shipping zone not found');
+    }
+    
+    console.log('[Admin] Shipping zone deleted:', zone.name);
+    res.redirect('/admin/shipping?success=Shipping zone deleted successfully');
+  } catch (error) {
+    console.error('[Admin] Error deleting shipping zone:', error);
+    res.redirect('/admin/shipping?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * Build a MongoDB filter from the order list query string
+ * Supports ?status=, ?from= and ?to= (YYYY-MM-DD, inclusive)
+ */
+function buildOrderFilter(query) {
+  const filter = {};
+
+  if (query.status && ORDER_STATUSES.includes(query.status)) {
+    filter.status = query.status;
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if (from && !isNaN(from)) {
+    filter.createdAt = { $gte: from };
+  }
+  if (to && !isNaN(to)) {
+    to.setDate(to.getDate() + 1); // Include the whole "to" day
+    filter.createdAt = { ...filter.createdAt, $lt: to };
+  }
+
+  return filter;
+}
+
+// Columns for the accountant's CSV export
+const ORDER_CSV_COLUMNS = [
+  { header: 'Order Number', value: o => o.orderNumber },
+  { header: 'Date', value: o => o.createdAt },
+  { header: 'Status', value: o => o.status },
+  { header: 'Email', value: o => o.email },
+  { header: 'Customer', value: o => o.shippingAddress?.fullName },
+  { header: 'Phone', value: o => o.shippingAddress?.phone },
+  { header: 'City', value: o => o.shippingAddress?.city },
+  { header: 'Items', value: o => o.items.map(i => `${i.quantity} x ${i.name}${i.variantLabel ? ` (${i.variantLabel})` : ''}`).join('; ') },
+  { header: 'Quantity', value: o => o.items.reduce((sum, i) => sum + i.quantity, 0) },
+  { header: 'Subtotal (Dh)', value: o => formatDh(o.subtotal) },
+  { header: 'Discount (Dh)', value: o => formatDh(o.discountTotal || 0) },
+  { header: 'Codes', value: o => (o.discounts || []).map(d => d.code).filter(Boolean).join('; ') },
+  { header: 'Shipping Zone', value: o => o.shipping?.name || '' },
+  { header: 'Shipping (Dh)', value: o => formatDh(o.shipping?.cost || 0) },
+  { header: 'COD Fee (Dh)', value: o => formatDh(o.shipping?.codFee || 0) },
+  { header: 'Payment', value: o => o.paymentMethod || '' },
+  { header: 'Total (Dh)', value: o => formatDh(o.total) },
+  { header: 'TVA (Dh)', value: o => formatDh(o.taxTotal || 0) }
+];
+
+/**
+ * GET /admin/orders
+ * List orders, filterable by status and date range
+ */
+router.get('/orders', async (req, res) => {
+  const filters = {
+    status: req.query.status || '',
+    from: req.query.from || '',
+    to: req.query.to || ''
+  };
+  const exportQuery = new URLSearchParams(filters).toString();
+
+  try {
+    const orders = await Order.find(buildOrderFilter(req.query)).sort({ createdAt: -1 }).lean();
+    
+    res.render('admin/orders', {
+      title: 'Admin - Orders',
+      orders,
+      statuses: ORDER_STATUSES,
+      filters,
+      exportQuery,
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading orders:', error);
+    res.render('admin/orders', {
+      title: 'Admin - Orders',
+      orders: [],
+      statuses: ORDER_STATUSES,
+      filters,
+      exportQuery,
+      error: 'Failed to load orders: ' + error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/orders/export.csv
+ * Download the (filtered) order list as CSV
+ */
+router.get('/orders/export.csv', async (req, res) => {
+  try {
+    const orders = await Order.find(buildOrderFilter(req.query)).sort({ createdAt: 1 }).lean();
+    const filename = `lbinag-orders-${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    console.log('[Admin] Exporting', orders.length, 'orders to CSV');
+    
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so Excel opens accented names correctly
+    res.send('\uFEFF' + toCsv(orders, ORDER_CSV_COLUMNS));
+  } catch (error) {
+    console.error('[Admin] Error exporting orders:', error);
+    res.redirect('/admin/orders?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * GET /admin/orders/:id
+ * Show order details and status controls
+ */
+router.get('/orders/:id', async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findById(req.params.id).lean()
+      : null;
+    
+    if (!order) {
+      return res.redirect('/admin/orders?error=Order not found');
+    }
+    
+    res.render('admin/order-detail', {
+      title: `Admin - Order ${order.orderNumber}`,
+      order,
+      nextStatuses: ORDER_STATUS_TRANSITIONS[order.status] || [],
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading order:', error);
+    res.redirect('/admin/orders?error=' + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/orders/:id/status
+ * Move an order to a new status (cancelling restocks its items)
+ */
+router.post('/orders/:id/status', async (req, res) => {
+  const orderId = req.params.id;
+  
+  try {
+    if (!mongoose.isValidObjectId(orderId)) {
+      return res.redirect('/admin/orders?error=Order not found');
+    }
+    
+    const order = await Order.changeStatus(orderId, req.body.status);
+    
+    res.redirect(`/admin/orders/${orderId}?success=` + encodeURIComponent(`Order marked as ${order.status}`));
+  } catch (error) {
+    console.error('[Admin] Error updating order status:', error);
+    res.redirect(`/admin/orders/${orderId}?error=` + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * GET /admin/reviews
+ * Moderation queue: reviews waiting for approval, or by ?status=
+ */
+router.get('/reviews', async (req, res) => {
+  const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+  
+  try {
+    const [reviews, pendingCount] = await Promise.all([
+      Review.find({ status }).sort({ createdAt: status === 'pending' ? 1 : -1 }).limit(100)
+        .populate('product', 'name').lean(),
+      Review.countDocuments({ status: 'pending' })
+    ]);
+    
+    res.render('admin/reviews', {
+      title: 'Admin - Reviews',
+      reviews,
+      statuses: REVIEW_STATUSES,
+      status,
+      pendingCount,
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Admin] Error loading reviews:', error);
+    res.render('admin/reviews', {
+      title: 'Admin - Reviews',
+      reviews: [],
+      statuses: REVIEW_STATUSES,
+      status,
+      error: 'Failed to load reviews: ' + error.message
+    });
+  }
+});
+
+/**
+ * POST /admin/reviews/:id/status
+ * Approve or reject a review
+ */
+router.post('/reviews/:id/status', async (req, res) => {
+  // Back to the list the moderator came from
+  const from = REVIEW_STATUSES.includes(req.body.from) ? req.body.from : 'pending';
+  const back = `/admin/reviews?status=${from}`;
+  
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.redirect(`${back}&error=Review not found`);
+    }
+    
+    const review = await Review.moderate(req.params.id, req.body.status);
+    res.redirect(`${back}&success=` + encodeURIComponent(`Review ${review.status}`));
+  } catch (error) {
+    console.error('[Admin] Error moderating review:', error);
+    res.redirect(`${back}&error=` + encodeURIComponent(error.message));
+  }
+});
+
+/**
+ * POST /admin/reviews/:id/delete
+ * Delete a review
+ */
+router.post('/reviews/:id/delete', adminOnly, async (req, res) => {
+  const from = REVIEW_STATUSES.includes(req.body.from) ? req.body.from : 'pending';
+  const back = `/admin/reviews?status=${from}`;
+  
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.redirect(`${back}&error=Review not found`);
+    }
+    
+    await Review.removeReview(req.params.id);
+    res.redirect(`${back}&success=Review deleted`);
+  } catch (error) {
+    console.error('[Admin] Error deleting review:', error);
+    res.redirect(`${back}&error=` + encodeURIComponent(error.message));
+  }
+});
+
 export default router;
@@ -1,19 +1,20 @@
 import { Router } from 'express';
 import Product from '../models/Product.js';
-import { sendMessage, getConversation, clearConversation } from '../services/gemini.js';
+import { sendMessage, streamMessage, getConversation, listThreads, createThread, updateThread } from '../services/agent.js';
 import { getChatUserId } from '../middleware/auth.js';
+import { parseSearchParams } from '../services/catalog.js';
 
 const router = Router();
 
 /**
  * POST /api/agent
- * Chat with the Gemini agent
- * Request: { message: string }
- * Response: { reply: string, action: string|null, product_id: string|null, topMatches: array }
+ * Chat with the shopping assistant agent
+ * Request: { message: string, threadId?: string }
+ * Response: { reply: string, action: string|null, product_id: string|null, topMatches: array, ungroundedProducts: array, thread: object }
  */
 router.post('/agent', async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, threadId } = req.body;
     
     if (!message || typeof message !== 'string' || message.trim() === '') {
       return res.status(400).json({
@@ -26,12 +27,15 @@ router.post('/agent', async (req, res) => {
     
     console.log(`[API] Agent request from ${userId}: "${message.substring(0, 50)}..."`);
     
-    // Send message to Gemini service
-    const result = await sendMessage(userId, message.trim());
+    // Send message to the agent service
+    const result = await sendMessage(userId, message.trim(), { threadId });
     
     res.json(result);
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, reply: error.message });
+    }
     console.error('[API] Agent error:', error);
     res.status(500).json({
       error: 'Failed to process message',
@@ -40,18 +44,91 @@ router.post('/agent', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/agent/stream
+ * Chat with the shopping assistant agent, streaming the reply over Server-Sent Events
+ * Request: { message: string, threadId?: string }
+ * Events:
+ *   token - { text: string } a chunk of the reply as it is generated
+ *   done  - { reply, action, product_id, topMatches, ungroundedProducts, thread } the final structured result
+ *   error - { error, reply }
+ */
+router.post('/agent/stream', async (req, res) => {
+  const { message, threadId } = req.body;
+  
+  if (!message || typeof message !== 'string' || message.trim() === '') {
+    return res.status(400).json({
+      error: 'Message is required'
+    });
+  }
+  
+  // Get user ID (real or guest) before headers go out so a new guest session cookie is sent
+  const userId = getChatUserId(req);
+  
+  console.log(`[API] Agent stream request from ${userId}: "${message.substring(0, 50)}..."`);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  
+  // Stop generating if the client disconnects before we finish
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  const send = (event, data) => {
+    if (!controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  
+  try {
+    const result = await streamMessage(userId, message.trim(), {
+      threadId,
+      onToken: (text) => send('token', { text }),
+      signal: controller.signal
+    });
+    
+    if (result) {
+      send('done', result);
+    }
+  } catch (error) {
+    if (error.status) {
+      send('error', { error: error.message, reply: error.message });
+    } else {
+      console.error('[API] Agent stream error:', error);
+      send('error', {
+        error: 'Failed to process message',
+        reply: "I'm sorry, I'm having trouble right now. Please try again in a moment."
+      });
+    }
+  }
+  
+  res.end();
+});
+
 /**
  * GET /api/agent/history
- * Get conversation history
+ * Get the history of a thread (?threadId=), or of the latest open thread
+ * Response: { thread: object|null, messages: array }
  */
 router.get('/agent/history', async (req, res) => {
   try {
     const userId = getChatUserId(req);
-    const messages = await getConversation(userId);
+    const { thread, messages } = await getConversation(userId, req.query.threadId);
     
-    res.json({ messages });
+    res.json({ thread, messages });
     
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, messages: [] });
+    }
     console.error('[API] History error:', error);
     res.status(500).json({
       error: 'Failed to load conversation history',
@@ -62,12 +139,16 @@ router.get('/agent/history', async (req, res) => {
 
 /**
  * POST /api/agent/clear
- * Clear conversation history
+ * Archive the latest open thread (kept for older clients; use PATCH /api/agent/threads/:id)
  */
 router.post('/agent/clear', async (req, res) => {
   try {
     const userId = getChatUserId(req);
-    await clearConversation(userId);
+    const { thread } = await getConversation(userId);
+    
+    if (thread) {
+      await updateThread(userId, thread.id, { archived: true });
+    }
     
     res.json({ success: true });
     
@@ -80,20 +161,108 @@ router.post('/agent/clear', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agent/threads
+ * List the user's chat threads, archived ones included
+ * Response: { threads: [{ id, title, archived, lastMessageAt }] }
+ */
+router.get('/agent/threads', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const threads = await listThreads(userId);
+    
+    res.json({ threads });
+    
+  } catch (error) {
+    console.error('[API] Threads error:', error);
+    res.status(500).json({ error: 'Failed to load conversations', threads: [] });
+  }
+});
+
+/**
+ * POST /api/agent/threads
+ * Start a new thread
+ * Response: { thread }
+ */
+router.post('/agent/threads', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const thread = await createThread(userId);
+    
+    res.status(201).json({ thread });
+    
+  } catch (error) {
+    console.error('[API] Create thread error:', error);
+    res.status(500).json({ error: 'Failed to start a conversation' });
+  }
+});
+
+/**
+ * GET /api/agent/threads/:id
+ * Reopen a thread
+ * Response: { thread, messages }
+ */
+router.get('/agent/threads/:id', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const { thread, messages } = await getConversation(userId, req.params.id);
+    
+    res.json({ thread, messages });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[API] Thread error:', error);
+    res.status(500).json({ error: 'Failed to load conversation' });
+  }
+});
+
+/**
+ * PATCH /api/agent/threads/:id
+ * Rename a thread and/or archive or unarchive it
+ * Request: { title?: string, archived?: boolean }
+ * Response: { thread }
+ */
+router.patch('/agent/threads/:id', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const { title, archived } = req.body;
+    const thread = await updateThread(userId, req.params.id, { title, archived });
+    
+    res.json({ thread });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('[API] Update thread error:', error);
+    res.status(500).json({ error: 'Failed to update conversation' });
+  }
+});
+
 /**
  * GET /api/products/search
  * Search products via API
+ * Query: q, color, minPrice, maxPrice, inStock, sort, page, limit (same as /catalog)
  */
 router.get('/products/search', async (req, res) => {
   try {
-    const { q = '', color = 'all' } = req.query;
-    const products = await Product.search(q, color);
+    const options = parseSearchParams(req.query);
+    const result = await Product.search(options);
     
     res.json({
-      query: q,
-      color: color,
-      count: products.length,
-      products: products.map(p => ({
+      query: options.query,
+      color: options.color || 'all',
+      sort: options.sort,
+      count: result.products.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      limit: result.limit,
+      facets: result.facets,
+      didYouMean: result.didYouMean,
+      products: result.products.map(p => ({
         id: p._id,
         name: p.name,
         description: p.description,
@@ -3,6 +3,7 @@ import { v4 as uuidv4 } from 'uuid';
 import User from '../models/User.js';
 import MagicLink from '../models/MagicLink.js';
 import { sendMagicLink } from '../services/mailer.js';
+import { runSignInHooks } from '../services/signin.js';
 import { requireGuest } from '../middleware/auth.js';
 
 const router = Router();
@@ -118,9 +119,15 @@ router.get('/verify', async (req, res) => {
       console.log(`[Auth] New user created: ${magicLink.email}`);
     }
     
+    await user.applyBootstrapRole();
+    
     // Set session
     req.session.userId = user._id.toString();
     req.session.userEmail = user.email;
+    req.session.userRole = user.role;
+    
+    // Carry over the cart, chat threads and other data the visitor had as a guest
+    await runSignInHooks(req.session);
     
     console.log(`[Auth] User logged in: ${user.email}`);
     
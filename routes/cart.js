@@ -0,0 +1,216 @@
+import { Router } from 'express';
+import Cart from '../models/Cart.js';
+import Product, { findVariant, variantLabel } from '../models/Product.js';
+import Order from '../models/Order.js';
+import Promotion from '../models/Promotion.js';
+import { getChatUserId } from '../middleware/auth.js';
+
+const router = Router();
+
+/**
+ * Check whether the client asked for JSON (fetch/XHR) rather than a page
+ */
+function wantsJson(req) {
+  return req.xhr || req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Reply to a cart mutation with JSON for scripts, or a redirect with a flash message for forms
+ */
+async function respond(req, res, userId, { success, error, status = 400 }) {
+  if (wantsJson(req)) {
+    const cartCount = await Cart.countItems(userId);
+    if (error) {
+      return res.status(status).json({ success: false, error, cartCount });
+    }
+    return res.json({ success: true, message: success, cartCount });
+  }
+
+  const flash = error ? 'error=' + encodeURIComponent(error) : 'success=' + encodeURIComponent(success);
+  res.redirect('/cart?' + flash);
+}
+
+/**
+ * Parse a quantity field into a non-negative integer
+ */
+function parseQuantity(value, fallback) {
+  const quantity = parseInt(value);
+  if (isNaN(quantity) || quantity < 0) {
+    return fallback;
+  }
+  return quantity;
+}
+
+/**
+ * Read the variant id from a form or JSON body (empty means the product has none)
+ */
+function parseVariantId(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * GET /cart
+ * Display the current cart, priced with the live promotions and the entered code;
+ * delivery depends on the address, so it is added at checkout
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const cart = await Order.priceCheckout(userId, {
+      code: req.session.promoCode,
+      email: req.session.userEmail
+    });
+
+    res.render('cart', {
+      title: 'Your Cart - Lbinag',
+      cart,
+      promoCode: req.session.promoCode || '',
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Cart] Error loading cart:', error);
+    res.render('error', {
+      title: 'Error',
+      message: 'Failed to load your cart'
+    });
+  }
+});
+
+/**
+ * POST /cart/add
+ * Add a product to the cart
+ * Body: { productId: string, variantId?: string, quantity?: number }
+ */
+router.post('/add', async (req, res) => {
+  const userId = getChatUserId(req);
+
+  try {
+    const quantity = parseQuantity(req.body.quantity, 1) || 1;
+    const variantId = parseVariantId(req.body.variantId);
+    const { label } = await Cart.addProduct(userId, req.body.productId, quantity, variantId);
+
+    respond(req, res, userId, { success: `${label} added to your cart` });
+  } catch (error) {
+    if (error.status) {
+      return respond(req, res, userId, { error: error.message, status: error.status });
+    }
+    console.error('[Cart] Error adding item:', error);
+    respond(req, res, userId, { error: 'Failed to add item to cart', status: 500 });
+  }
+});
+
+/**
+ * POST /cart/update
+ * Change the quantity of a product in the cart (0 removes it)
+ * Body: { productId: string, variantId?: string, quantity: number }
+ */
+router.post('/update', async (req, res) => {
+  const userId = getChatUserId(req);
+
+  try {
+    const { productId } = req.body;
+    const variantId = parseVariantId(req.body.variantId);
+    const quantity = parseQuantity(req.body.quantity, null);
+
+    if (quantity === null) {
+      return respond(req, res, userId, { error: 'Valid quantity is required' });
+    }
+
+    const cart = await Cart.getOrCreate(userId);
+    if (!productId || !cart.findItem(productId, variantId)) {
+      return respond(req, res, userId, { error: 'Item is not in your cart', status: 404 });
+    }
+
+    if (quantity > 0) {
+      const product = await Product.findById(productId);
+      const variant = product && variantId ? findVariant(product, variantId) : null;
+      if (!product || (variantId && !variant)) {
+        await cart.removeItem(productId, variantId);
+        return respond(req, res, userId, { error: 'Product is no longer available', status: 404 });
+      }
+
+      const available = variant ? variant.stockCount : product.stockCount;
+      if (quantity > available) {
+        const name = variant ? `${product.name} (${variantLabel(variant)})` : product.name;
+        return respond(req, res, userId, {
+          error: `Only ${available} of ${name} available`,
+          status: 409
+        });
+      }
+    }
+
+    await cart.setQuantity(productId, quantity, variantId);
+
+    respond(req, res, userId, { success: quantity > 0 ? 'Cart updated' : 'Item removed from cart' });
+  } catch (error) {
+    console.error('[Cart] Error updating item:', error);
+    respond(req, res, userId, { error: 'Failed to update cart', status: 500 });
+  }
+});
+
+/**
+ * POST /cart/remove
+ * Remove a product from the cart
+ * Body: { productId: string, variantId?: string }
+ */
+router.post('/remove', async (req, res) => {
+  const userId = getChatUserId(req);
+
+  try {
+    const { productId } = req.body;
+    const variantId = parseVariantId(req.body.variantId);
+    const cart = await Cart.getOrCreate(userId);
+
+    if (!productId || !cart.findItem(productId, variantId)) {
+      return respond(req, res, userId, { error: 'Item is not in your cart', status: 404 });
+    }
+
+    await cart.removeItem(productId, variantId);
+
+    respond(req, res, userId, { success: 'Item removed from cart' });
+  } catch (error) {
+    console.error('[Cart] Error removing item:', error);
+    respond(req, res, userId, { error: 'Failed to remove item', status: 500 });
+  }
+});
+
+/**
+ * POST /cart/promo
+ * Enter a discount code. Valid codes are kept for the session even when the cart
+ * doesn't qualify yet, so adding items can make them apply.
+ * Body: { code: string }
+ */
+router.post('/promo', async (req, res) => {
+  const userId = getChatUserId(req);
+
+  try {
+    const promotion = await Promotion.findLiveCode(req.body.code);
+    if (!promotion) {
+      const code = String(req.body.code || '').trim().toUpperCase();
+      return respond(req, res, userId, { error: code ? `The code ${code} isn't valid or has expired` : 'Please enter a code' });
+    }
+
+    req.session.promoCode = promotion.code;
+
+    const cart = await Order.priceCart(userId, { code: promotion.code, email: req.session.userEmail });
+    if (cart.codeError) {
+      return respond(req, res, userId, { error: cart.codeError });
+    }
+    respond(req, res, userId, { success: `Code ${promotion.code} applied` });
+  } catch (error) {
+    console.error('[Cart] Error applying code:', error);
+    respond(req, res, userId, { error: 'Failed to apply the code', status: 500 });
+  }
+});
+
+/**
+ * POST /cart/promo/remove
+ * Take the discount code off the cart
+ */
+router.post('/promo/remove', (req, res) => {
+  delete req.session.promoCode;
+  respond(req, res, getChatUserId(req), { success: 'Code removed' });
+});
+
+export default router;
@@ -1,33 +1,101 @@
 import { Router } from 'express';
-import Product from '../models/Product.js';
+import Product, { VARIANT_SIZES, variantLabel, productImages } from '../models/Product.js';
+import Category from '../models/Category.js';
+import Review, { MAX_REVIEW_LENGTH } from '../models/Review.js';
+import StockSubscription from '../models/StockSubscription.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+import Promotion from '../models/Promotion.js';
+import { SORT_OPTIONS, RATING_FILTERS, parseSearchParams, buildCatalogUrl, buildPagination } from '../services/catalog.js';
+import { excerpt } from '../services/search.js';
+import { relatedProducts, alsoBoughtProducts } from '../services/recommendations.js';
+import { getChatUserId } from '../middleware/auth.js';
 
 const router = Router();
 
-// Available colors for filter
-const COLORS = ['red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'white', 'black', 'multicolor'];
+/**
+ * Build the sidebar category facets, each linking to the current search with that category
+ * @param {Array} categories - Categories from Category.listAll()
+ * @param {Object} result - Result of Product.search()
+ * @param {Object} options - Current search options
+ * @returns {Array} - [{ color, name, swatch, count, url, active }]
+ */
+function buildColorFacets(categories, result, options) {
+  return categories.map(category => ({
+    color: category.slug,
+    name: category.name,
+    swatch: category.swatch,
+    count: result.facets.colors[category.slug] || 0,
+    url: buildCatalogUrl(options, { color: category.slug, page: 1 }),
+    active: category.slug === options.color
+  }));
+}
+
+/**
+ * Build the sidebar tag facets; the selected tag links back to the search without it
+ * @param {Object} result - Result of Product.search()
+ * @param {Object} options - Current search options
+ * @returns {Array} - [{ tag, count, url, active }]
+ */
+function buildTagFacets(result, options) {
+  return result.facets.tags.map(({ tag, count }) => ({
+    tag,
+    count,
+    url: buildCatalogUrl(options, { tag: tag === options.tag ? '' : tag, page: 1 }),
+    active: tag === options.tag
+  }));
+}
 
 /**
  * GET /catalog
- * Display product catalog with optional search and color filter
+ * Display product catalog with search, filters, sorting and pagination
+ * Query: q, color, tag, size, minRating, minPrice, maxPrice, inStock, sort, page
  */
 router.get('/', async (req, res) => {
+  const options = parseSearchParams(req.query);
+  
   try {
-    const searchQuery = req.query.q || '';
-    const selectedColor = req.query.color || '';
+    console.log('[Catalog] Search:', options.query || 'none', '| Color:', options.color || 'all', '| Page:', options.page);
     
-    console.log('[Catalog] Search:', searchQuery || 'none', '| Color:', selectedColor || 'all');
+    const [result, categories] = await Promise.all([Product.search(options), Category.listAll()]);
+    const selectedCategory = categories.find(c => c.slug === options.color);
     
-    const products = await Product.search(searchQuery, selectedColor);
+    console.log('[Catalog] Rendering', result.products.length, 'of', result.total, 'products');
     
-    console.log('[Catalog] Rendering with', products.length, 'products');
+    let title = 'Catalog';
+    if (options.query) {
+      title = `Search: ${options.query}`;
+    } else if (selectedCategory) {
+      title = `${selectedCategory.name} Marbles`;
+    } else if (options.tag) {
+      title = `Tagged "${options.tag}"`;
+    }
+    
+    // Searches show where the description matched
+    const products = await Promotion.withSalePrices(result.products.map(p => ({
+      ...p,
+      snippet: excerpt(p.description, result.highlightTerms)
+    })));
     
     res.render('catalog', {
-      title: searchQuery ? `Search: ${searchQuery}` : 'Catalog',
+      title,
       products,
-      searchQuery,
-      selectedColor,
-      colors: COLORS,
-      resultCount: products.length
+      searchQuery: options.query,
+      selectedColor: options.color,
+      selectedCategory,
+      filters: options,
+      sizes: VARIANT_SIZES,
+      ratingFilters: RATING_FILTERS,
+      sortOptions: options.query ? SORT_OPTIONS : SORT_OPTIONS.filter(o => o.value !== 'relevance'),
+      colorFacets: buildColorFacets(categories, result, options),
+      tagFacets: buildTagFacets(result, options),
+      highlightTerms: result.highlightTerms,
+      didYouMean: result.didYouMean,
+      didYouMeanUrl: result.didYouMean ? buildCatalogUrl(options, { query: result.didYouMean, page: 1 }) : null,
+      allColorsCount: result.facets.allColors,
+      allColorsUrl: buildCatalogUrl(options, { color: '', page: 1 }),
+      pagination: buildPagination(result, options),
+      resultCount: result.total,
+      error: req.query.error
     });
   } catch (error) {
     console.error('[Catalog] Error:', error);
@@ -36,7 +104,12 @@ router.get('/', async (req, res) => {
       products: [],
       searchQuery: '',
       selectedColor: '',
-      colors: COLORS,
+      filters: options,
+      sizes: VARIANT_SIZES,
+      ratingFilters: RATING_FILTERS,
+      sortOptions: SORT_OPTIONS,
+      colorFacets: [],
+      tagFacets: [],
       resultCount: 0,
       error: 'Failed to load products'
     });
@@ -45,33 +118,11 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /catalog/color/:color
- * Filter products by color
+ * Old color filter URL - the filter is now a query parameter on /catalog
  */
-router.get('/color/:color', async (req, res) => {
-  try {
-    const color = req.params.color.toLowerCase();
-    
-    // Use .lean() to get plain objects for Handlebars
-    let products = await Product.find({ color }).sort({ createdAt: -1 }).lean();
-    
-    // Add computed inStock
-    products = products.map(p => ({
-      ...p,
-      inStock: p.stockCount > 0
-    }));
-    
-    res.render('catalog', {
-      title: `${color.charAt(0).toUpperCase() + color.slice(1)} Marbles`,
-      products,
-      searchQuery: '',
-      selectedColor: color,
-      colors: COLORS,
-      resultCount: products.length
-    });
-  } catch (error) {
-    console.error('[Catalog] Color filter error:', error);
-    res.redirect('/catalog?error=Failed to load products');
-  }
+router.get('/color/:color', (req, res) => {
+  const options = parseSearchParams(req.query);
+  res.redirect(301, buildCatalogUrl(options, { color: req.params.color.toLowerCase(), page: 1 }));
 });
 
 /**
@@ -90,24 +141,57 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    // Sale prices on the product and its variants
+    [product] = await Promotion.withSalePrices([product]);
+    
     // Add computed inStock
     product.inStock = product.stockCount > 0;
     
-    // Get related products (same color, excluding current)
-    let relatedProducts = await Product.find({
-      color: product.color,
-      _id: { $ne: product._id }
-    }).limit(4).lean();
-    
-    relatedProducts = relatedProducts.map(p => ({
-      ...p,
-      inStock: p.stockCount > 0
+    // Variant options for the picker, with the first one in stock preselected
+    const firstAvailable = (product.variants || []).find(v => v.stockCount > 0);
+    product.variants = (product.variants || []).map(v => ({
+      ...v,
+      label: variantLabel(v),
+      inStock: v.stockCount > 0,
+      selected: v === firstAvailable
     }));
+    product.selectedVariant = firstAvailable || null;
+    product.images = productImages(product);
+    
+    // Recommendations; "also bought" products aren't repeated in the related list
+    const alsoBought = await alsoBoughtProducts(product._id, { limit: 4 });
+    const related = await relatedProducts(product, { limit: 4, exclude: alsoBought.map(p => p._id) });
+    
+    // The visitor's earlier views for the rail, then this one recorded for next time
+    const visitorId = getChatUserId(req);
+    const recentlyViewed = await RecentlyViewed.getProducts(visitorId, { exclude: product._id });
+    RecentlyViewed.record(visitorId, product._id).catch(error => {
+      console.error('[Catalog] Failed to record product view:', error.message);
+    });
+    
+    // Approved reviews, whether the signed-in customer may add theirs, and their stock alert
+    const [reviews, eligibility, subscription] = await Promise.all([
+      Review.findApproved(product._id),
+      Review.eligibility(req.session.userId, product._id),
+      req.session.userEmail
+        ? StockSubscription.findOne({ product: product._id, email: req.session.userEmail }, { token: 1 }).lean()
+        : null
+    ]);
     
     res.render('product', {
       title: product.name,
       product,
-      relatedProducts
+      relatedProducts: await Promotion.withSalePrices(related),
+      alsoBought: await Promotion.withSalePrices(alsoBought),
+      reviews,
+      canReview: eligibility.allowed,
+      ratingChoices: [5, 4, 3, 2, 1],
+      ownReview: eligibility.review,
+      maxReviewLength: MAX_REVIEW_LENGTH,
+      subscription,
+      recentlyViewed: await Promotion.withSalePrices(recentlyViewed),
+      success: req.query.success,
+      error: req.query.error
     });
   } catch (error) {
     console.error('[Catalog] Product error:', error);
@@ -126,4 +210,81 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /catalog/:id/reviews
+ * Submit a review; customers can review products from their delivered orders
+ * Body: rating (1-5), body
+ */
+router.post('/:id/reviews', async (req, res) => {
+  const productUrl = `/catalog/${req.params.id}`;
+  
+  if (!req.session.userId) {
+    req.session.returnTo = productUrl + '#reviews';
+    return res.redirect('/auth/login');
+  }
+  
+  try {
+    const product = await Product.exists({ _id: req.params.id });
+    if (!product) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Product not found'
+      });
+    }
+    
+    await Review.submit(req.session.userId, product._id, req.body);
+    res.redirect(`${productUrl}?success=${encodeURIComponent('Thanks! Your review will appear once it has been checked.')}#reviews`);
+  } catch (error) {
+    console.error('[Catalog] Review error:', error.message);
+    
+    if (error.name === 'CastError') {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Product not found'
+      });
+    }
+    
+    res.redirect(`${productUrl}?error=${encodeURIComponent(error.status ? error.message : 'Failed to save your review')}#reviews`);
+  }
+});
+
+/**
+ * POST /catalog/:id/notify
+ * Ask to be emailed when the product is back in stock or its price drops.
+ * Signed-in customers are subscribed with their account email; guests give one.
+ * Body: email (guests)
+ */
+router.post('/:id/notify', async (req, res) => {
+  const productUrl = `/catalog/${req.params.id}`;
+  
+  try {
+    const product = await Product.findById(req.params.id, { price: 1, stockCount: 1 }).lean();
+    if (!product) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Product not found'
+      });
+    }
+    
+    const email = req.session.userEmail || req.body.email;
+    await StockSubscription.subscribe(product, { email, userId: req.session.userId || null });
+    
+    const message = product.stockCount > 0
+      ? "We'll email you if the price drops."
+      : "We'll email you when it's back in stock.";
+    res.redirect(`${productUrl}?success=${encodeURIComponent(message)}#notify`);
+  } catch (error) {
+    console.error('[Catalog] Subscription error:', error.message);
+    
+    if (error.name === 'CastError') {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Product not found'
+      });
+    }
+    
+    res.redirect(`${productUrl}?error=${encodeURIComponent(error.status ? error.message : 'Failed to save your alert')}#notify`);
+  }
+});
+
 export default router;
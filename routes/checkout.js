@@ -0,0 +1,181 @@
+import { Router } from 'express';
+import Order, { PAYMENT_METHODS } from '../models/Order.js';
+import { formatDh } from '../services/money.js';
+import { getChatUserId } from '../middleware/auth.js';
+
+const router = Router();
+
+// Where deliveries go when the customer hasn't said otherwise
+const DEFAULT_COUNTRY = 'Morocco';
+
+/**
+ * Read the delivery city, country and payment method from a form or query string
+ */
+function parseDelivery(source) {
+  return {
+    address: {
+      city: String(source.city || '').trim(),
+      country: String(source.country || '').trim() || DEFAULT_COUNTRY
+    },
+    paymentMethod: PAYMENT_METHODS.includes(source.paymentMethod) ? source.paymentMethod : 'cash-on-delivery'
+  };
+}
+
+/**
+ * GET /checkout
+ * Display the checkout form with the cart summary; delivery is estimated for
+ * the country until the customer enters their city
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const { address, paymentMethod } = parseDelivery(req.query);
+    const cart = await Order.priceCheckout(userId, {
+      code: req.session.promoCode,
+      email: req.session.userEmail,
+      address,
+      paymentMethod
+    });
+
+    if (cart.items.length === 0) {
+      return res.redirect('/cart?error=' + encodeURIComponent('Your cart is empty'));
+    }
+    if (cart.hasStockIssues) {
+      return res.redirect('/cart?error=' + encodeURIComponent('Please update the items that are low on stock'));
+    }
+    if (cart.codeError) {
+      return res.redirect('/cart?error=' + encodeURIComponent(cart.codeError));
+    }
+
+    res.render('checkout', {
+      title: 'Checkout - Lbinag',
+      cart,
+      country: address.country,
+      paymentMethod: cart.cashOnDelivery ? paymentMethod : 'bank-transfer',
+      email: req.session.userEmail || '',
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Checkout] Error loading checkout:', error);
+    res.redirect('/cart?error=' + encodeURIComponent('Failed to load checkout'));
+  }
+});
+
+/**
+ * GET /checkout/quote
+ * Delivery, cash-on-delivery fee, TVA and total for an address, for the checkout summary
+ * Query: city, country, paymentMethod
+ */
+router.get('/quote', async (req, res) => {
+  try {
+    const { address, paymentMethod } = parseDelivery(req.query);
+    const cart = await Order.priceCheckout(getChatUserId(req), {
+      code: req.session.promoCode,
+      email: req.session.userEmail,
+      address,
+      paymentMethod
+    });
+
+    const { shipping } = cart;
+    res.json({
+      success: true,
+      deliverable: Boolean(shipping),
+      cashOnDelivery: cart.cashOnDelivery,
+      zone: shipping ? shipping.name : null,
+      deliveryTime: shipping ? shipping.deliveryTime : null,
+      shipping: shipping ? (shipping.free ? 'Free' : `${formatDh(shipping.cost)} Dh`) : null,
+      codFee: shipping && shipping.codFee > 0 ? `${formatDh(shipping.codFee)} Dh` : null,
+      freeShippingRemaining: shipping && shipping.freeShippingRemaining ? `${formatDh(shipping.freeShippingRemaining)} Dh` : null,
+      taxTotal: `${formatDh(cart.taxTotal)} Dh`,
+      total: `${formatDh(cart.total)} Dh`
+    });
+  } catch (error) {
+    console.error('[Checkout] Error quoting delivery:', error);
+    res.status(500).json({ success: false, error: 'Failed to work out delivery' });
+  }
+});
+
+/**
+ * POST /checkout
+ * Place the order
+ */
+router.post('/', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const { fullName, phone, street, city, postalCode } = req.body;
+    const { address, paymentMethod } = parseDelivery(req.body);
+    const email = (req.session.userEmail || req.body.email || '').toLowerCase().trim();
+
+    // Validation
+    if (!email || !email.includes('@')) {
+      return res.redirect('/checkout?error=Please enter a valid email address');
+    }
+    if (!fullName || !fullName.trim()) {
+      return res.redirect('/checkout?error=Full name is required');
+    }
+    if (!phone || !phone.trim()) {
+      return res.redirect('/checkout?error=Phone number is required');
+    }
+    if (!street || !street.trim() || !city || !city.trim()) {
+      return res.redirect('/checkout?error=Street address and city are required');
+    }
+
+    const order = await Order.createFromCart(userId, {
+      email,
+      code: req.session.promoCode,
+      paymentMethod,
+      shippingAddress: {
+        fullName: fullName.trim(),
+        phone: phone.trim(),
+        street: street.trim(),
+        city: city.trim(),
+        postalCode: postalCode ? postalCode.trim() : '',
+        country: address.country
+      }
+    });
+
+    delete req.session.promoCode;
+    res.redirect(`/checkout/confirmation/${order.orderNumber}`);
+  } catch (error) {
+    console.error('[Checkout] Error placing order:', error);
+
+    // Stock and promotion problems are surfaced on the cart so the customer can fix them
+    const target = error.status === 409 ? '/cart' : '/checkout';
+    const message = error.status ? error.message : 'Failed to place your order. Please try again.';
+    res.redirect(`${target}?error=` + encodeURIComponent(message));
+  }
+});
+
+/**
+ * GET /checkout/confirmation/:orderNumber
+ * Display the order confirmation (only to the visitor who placed it)
+ */
+router.get('/confirmation/:orderNumber', async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      orderNumber: req.params.orderNumber,
+      userId: getChatUserId(req)
+    }).lean();
+
+    if (!order) {
+      return res.status(404).render('error', {
+        title: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+
+    res.render('order', {
+      title: `Order ${order.orderNumber} - Lbinag`,
+      order,
+      justPlaced: true
+    });
+  } catch (error) {
+    console.error('[Checkout] Confirmation error:', error);
+    res.render('error', {
+      title: 'Error',
+      message: 'Failed to load order'
+    });
+  }
+});
+
+export default router;
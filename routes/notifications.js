@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import StockSubscription from '../models/StockSubscription.js';
+
+const router = Router();
+
+/**
+ * GET /notifications/unsubscribe?token=
+ * Ask the subscriber to confirm. The link in each email lands here; it doesn't
+ * unsubscribe by itself, since mail scanners and prefetchers follow links too.
+ */
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const subscription = await StockSubscription.findByToken(req.query.token);
+    
+    if (!subscription) {
+      return res.render('unsubscribed', {
+        title: 'Unsubscribed - Lbinag',
+        found: false
+      });
+    }
+    
+    res.render('unsubscribe', {
+      title: 'Unsubscribe - Lbinag',
+      token: subscription.token,
+      email: subscription.email,
+      product: subscription.product
+    });
+  } catch (error) {
+    console.error('[Notifications] Unsubscribe page error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load this page. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /notifications/unsubscribe?token=
+ * Unsubscribe from a product's alerts: the confirmation form, and mail clients
+ * offering their own one-click unsubscribe button (RFC 8058), post here
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const subscription = await StockSubscription.unsubscribe(req.query.token || req.body.token);
+    
+    res.render('unsubscribed', {
+      title: 'Unsubscribed - Lbinag',
+      found: Boolean(subscription),
+      product: subscription ? subscription.product : null
+    });
+  } catch (error) {
+    console.error('[Notifications] Unsubscribe error:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to unsubscribe. Please try again.'
+    });
+  }
+});
+
+export default router;
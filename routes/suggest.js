@@ -0,0 +1,58 @@
+import { Router } from 'express';
+import Product from '../models/Product.js';
+import { formatDh } from '../services/money.js';
+
+const router = Router();
+
+// Shortest query worth suggesting for
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * GET /api/products/suggest?q=
+ * Autocomplete for the header search bar.
+ * Mounted ahead of the session middleware: it is called on every keystroke,
+ * answers the same for everyone, and must not touch the session store.
+ * Response: { query, products: [{ id, name, price, priceText, color, category, swatch, imageUrl, inStock, url }],
+ *   colors: [{ color, name, swatch, url }] } - colors are the matching categories
+ */
+router.get('/', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  
+  if (query.length < MIN_QUERY_LENGTH) {
+    return res.json({ query, products: [], colors: [] });
+  }
+  
+  try {
+    const { products, categories } = await Product.suggest(query);
+    
+    // Same answer for every visitor, so browsers may reuse it briefly
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      query,
+      products: products.map(p => ({
+        id: p._id,
+        name: p.name,
+        price: p.price,
+        // Formatted from centimes here, so the browser doesn't round floats itself
+        priceText: formatDh(p.price),
+        color: p.color,
+        category: p.category?.name || p.color,
+        swatch: p.category?.swatch || '',
+        imageUrl: p.imageUrl,
+        inStock: p.stockCount > 0,
+        url: `/catalog/${p._id}`
+      })),
+      colors: categories.map(c => ({
+        color: c.slug,
+        name: c.name,
+        swatch: c.swatch,
+        url: `/catalog?color=${c.slug}`
+      }))
+    });
+  } catch (error) {
+    console.error('[API] Suggest error:', error);
+    res.status(500).json({ error: 'Suggestions failed', products: [], colors: [] });
+  }
+});
+
+export default router;
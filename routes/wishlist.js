@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import Wishlist from '../models/Wishlist.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+import Promotion from '../models/Promotion.js';
+import { getChatUserId } from '../middleware/auth.js';
+
+const router = Router();
+
+/**
+ * Check whether the client asked for JSON (fetch/XHR) rather than a page
+ */
+function wantsJson(req) {
+  return req.xhr || req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * GET /wishlist
+ * Display the saved products, with the recently viewed ones below
+ */
+router.get('/', async (req, res) => {
+  try {
+    const userId = getChatUserId(req);
+    const [products, recentlyViewed] = await Promise.all([
+      Wishlist.getProducts(userId),
+      RecentlyViewed.getProducts(userId)
+    ]);
+    
+    res.render('wishlist', {
+      title: 'Your Wishlist - Lbinag',
+      products: await Promotion.withSalePrices(products),
+      recentlyViewed: await Promotion.withSalePrices(recentlyViewed),
+      success: req.query.success,
+      error: req.query.error
+    });
+  } catch (error) {
+    console.error('[Wishlist] Error loading wishlist:', error);
+    res.render('error', {
+      title: 'Error',
+      message: 'Failed to load your wishlist'
+    });
+  }
+});
+
+/**
+ * POST /wishlist/toggle
+ * Save a product to the wishlist, or remove it if it's already saved
+ * Body: { productId: string }
+ */
+router.post('/toggle', async (req, res) => {
+  const userId = getChatUserId(req);
+  
+  try {
+    const { saved, product } = await Wishlist.toggle(userId, req.body.productId);
+    const message = saved ? `${product.name} saved to your wishlist` : `${product.name} removed from your wishlist`;
+    
+    if (wantsJson(req)) {
+      const wishlistCount = (await Wishlist.productIds(userId)).length;
+      return res.json({ success: true, saved, message, wishlistCount });
+    }
+    res.redirect('/wishlist?success=' + encodeURIComponent(message));
+  } catch (error) {
+    if (!error.status) {
+      console.error('[Wishlist] Error updating wishlist:', error);
+    }
+    const message = error.status ? error.message : 'Failed to update your wishlist';
+    
+    if (wantsJson(req)) {
+      return res.status(error.status || 500).json({ success: false, error: message });
+    }
+    res.redirect('/wishlist?error=' + encodeURIComponent(message));
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+/**
+ * Run product pictures uploaded before image processing existed through it
+ *
+ * Usage: npm run process-images [-- --dry-run]
+ *
+ * Each old picture in public/uploads is resized, stripped of metadata and given
+ * its WebP copies like a new upload, and the products (and variants) using it
+ * are pointed at the new file. Old files are deleted once no product uses them.
+ * With --dry-run it only lists the pictures it would process.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import Product, { productImages } from '../models/Product.js';
+import { UPLOADS_DIR, derivedImages, deleteUploads } from '../services/uploads.js';
+import { processImage } from '../services/images.js';
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lbinag';
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Whether a picture is a local upload that hasn't been processed yet
+ */
+function needsProcessing(url) {
+  return typeof url === 'string' &&
+    /^\/uploads\/[^/]+$/.test(url) &&
+    derivedImages(url).length === 0 &&
+    fs.existsSync(path.join(UPLOADS_DIR, path.basename(url)));
+}
+
+/**
+ * Process one old picture, once even if several products use it
+ * @returns {Promise<string|null>} - URL of the processed picture, or null if it can't be read
+ */
+async function convert(url, converted) {
+  if (!converted.has(url)) {
+    const name = path.basename(url);
+    try {
+      const buffer = await fs.promises.readFile(path.join(UPLOADS_DIR, name));
+      converted.set(url, '/uploads/' + await processImage(buffer, name));
+    } catch (error) {
+      console.error(`[process-images] Skipping ${url}:`, error.message);
+      converted.set(url, null);
+    }
+  }
+  return converted.get(url);
+}
+
+try {
+  await mongoose.connect(MONGODB_URI);
+
+  const products = await Product.find();
+  const converted = new Map();
+  const kept = new Set();
+  const used = new Set();
+  let updated = 0;
+
+  for (const product of products) {
+    const images = productImages(product, { fallbackAlt: false });
+    const oldUrls = [...images.map(image => image.url), ...product.variants.map(v => v.imageUrl)].filter(needsProcessing);
+    if (oldUrls.length === 0) {
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`[process-images] ${product.name}: ${[...new Set(oldUrls)].join(', ')}`);
+      continue;
+    }
+
+    for (const url of oldUrls) {
+      await convert(url, converted);
+    }
+    const replace = url => converted.get(url) || url;
+
+    product.images = images.map(image => ({ url: replace(image.url), alt: image.alt }));
+    for (const variant of product.variants) {
+      variant.imageUrl = replace(variant.imageUrl);
+    }
+
+    try {
+      await product.save();
+      oldUrls.forEach(url => used.add(converted.get(url)));
+      updated++;
+    } catch (error) {
+      // This product still uses its old pictures, so they stay
+      console.error(`[process-images] Could not update ${product.name}:`, error.message);
+      oldUrls.forEach(url => kept.add(url));
+    }
+  }
+
+  if (!dryRun) {
+    const processed = [...converted].filter(([, url]) => url);
+    // Processed copies that no saved product ended up using aren't needed either
+    await deleteUploads([
+      ...processed.map(([old]) => old).filter(old => !kept.has(old)),
+      ...processed.map(([, url]) => url).filter(url => !used.has(url))
+    ]);
+
+    console.log(`[process-images] Processed ${processed.length} picture(s) and updated ${updated} product(s)`);
+  }
+} catch (error) {
+  console.error('[process-images] Failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
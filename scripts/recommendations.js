@@ -0,0 +1,26 @@
+/**
+ * Recompute product recommendations now, instead of waiting for the server's job
+ *
+ * Usage: npm run recommendations
+ *
+ * Handy after importing a catalog or on a fresh database.
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { computeRecommendations } from '../services/recommendations.js';
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lbinag';
+
+try {
+  await mongoose.connect(MONGODB_URI);
+  
+  const { products } = await computeRecommendations();
+  
+  console.log(`[recommendations] Updated recommendations for ${products} products`);
+} catch (error) {
+  console.error('[recommendations] Failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,38 @@
+/**
+ * Set a user's role from the command line
+ *
+ * Usage: npm run set-role -- <email> <customer|staff|admin>
+ *
+ * Creates the user if they have never signed in, so the first admin
+ * can be bootstrapped before anyone logs in.
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User, { USER_ROLES } from '../models/User.js';
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lbinag';
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !email.includes('@') || !USER_ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${USER_ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(MONGODB_URI);
+  
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { $set: { role }, $setOnInsert: { createdAt: new Date() } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  
+  console.log(`[set-role] ${user.email} is now ${user.role}`);
+} catch (error) {
+  console.error('[set-role] Failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
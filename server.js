@@ -3,7 +3,7 @@
  * Main Server Entry Point
  * 
  * This is a server-side rendered Express application selling marbles.
- * Features: Magic link auth, Gemini AI chat, MongoDB persistence.
+ * Features: Magic link auth, AI chat (Gemini, OpenAI-compatible or offline), MongoDB persistence.
  */
 
 import 'dotenv/config';
@@ -20,9 +20,32 @@ import authRoutes from './routes/auth.js';
 import catalogRoutes from './routes/catalog.js';
 import apiRoutes from './routes/api.js';
 import adminRoutes from './routes/admin.js';
+import cartRoutes from './routes/cart.js';
+import checkoutRoutes from './routes/checkout.js';
+import accountRoutes from './routes/account.js';
+import suggestRoutes from './routes/suggest.js';
+import notificationRoutes from './routes/notifications.js';
+import wishlistRoutes from './routes/wishlist.js';
 
 // Middleware imports
-import { attachUserInfo } from './middleware/auth.js';
+import { attachUserInfo, requireRole } from './middleware/auth.js';
+import { attachCartCount } from './middleware/cart.js';
+import { attachCategories } from './middleware/categories.js';
+import { attachWishlist } from './middleware/wishlist.js';
+
+// Model imports
+import Category from './models/Category.js';
+import Product from './models/Product.js';
+import RecentlyViewed from './models/RecentlyViewed.js';
+import Promotion from './models/Promotion.js';
+import ShippingZone from './models/ShippingZone.js';
+
+// Service imports
+import { getProvider } from './services/llm/index.js';
+import { highlight, escapeHtml } from './services/search.js';
+import { imageSrcset } from './services/uploads.js';
+import { formatDh } from './services/money.js';
+import { recommendForVisitor, startRecommendationJob } from './services/recommendations.js';
 
 // ES Module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -41,11 +64,26 @@ const app = express();
 // ==========================================
 console.log('[Server] Connecting to MongoDB...');
 
+/**
+ * Seed default data and backfill fields older products lack. A failure here is
+ * logged but doesn't stop the shop from serving
+ */
+function prepareData() {
+  return Category.seedDefaults()
+    .then(() => ShippingZone.seedDefaults())
+    .then(() => Product.fillMissingSlugs())
+    .then(() => Product.fillSearchWords())
+    .catch(err => {
+      console.error('[Server] Startup data setup failed:', err.message);
+    });
+}
+
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('[Server] MongoDB connected successfully');
-  })
-  .catch(err => {
+    startRecommendationJob();
+    prepareData();
+  }, err => {
     console.error('[Server] MongoDB connection error:', err.message);
     process.exit(1);
   });
@@ -61,6 +99,10 @@ app.engine('hbs', engine({
   helpers: {
     // Helper to check equality
     eq: (a, b) => a === b,
+    // Helper to check whether any of its arguments is truthy (the last one is Handlebars' options)
+    or: (...args) => args.slice(0, -1).some(Boolean),
+    // Helper to check whether a list contains a value, comparing ids as strings
+    includes: (list, value) => Array.isArray(list) && list.some(item => String(item) === String(value)),
     // Helper for math operations
     math: (a, operator, b) => {
       a = parseFloat(a);
@@ -75,7 +117,26 @@ app.engine('hbs', engine({
     },
     // Format price in Moroccan Dirham
     formatPrice: (price) => {
-      return parseFloat(price).toFixed(2);
+      return formatDh(price);
+    },
+    // Format a date for order listings, e.g. "5 Jan 2025"
+    formatDate: (date) => {
+      return new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+    // Escape text and mark search terms in it - use with triple braces
+    highlight: (text, terms) => highlight(text, terms),
+    // srcset and sizes attributes for an uploaded picture's WebP copies - use with triple braces
+    srcset: (url, sizes) => {
+      const srcset = imageSrcset(url);
+      if (!srcset) {
+        return '';
+      }
+      return ` srcset="${escapeHtml(srcset)}" sizes="${escapeHtml(typeof sizes === 'string' ? sizes : '100vw')}"`;
+    },
+    // Star rating like "★★★★☆", rounded to the nearest whole star
+    stars: (rating) => {
+      const full = Math.min(Math.max(Math.round(parseFloat(rating) || 0), 0), 5);
+      return '★'.repeat(full) + '☆'.repeat(5 - full);
     },
     // JSON stringify for debugging
     json: (obj) => JSON.stringify(obj, null, 2)
@@ -96,6 +157,10 @@ app.use(express.urlencoded({ extended: true }));
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Search suggestions run on every keystroke and are the same for everyone,
+// so they are served before the session, user and cart lookups below
+app.use('/api/products/suggest', suggestRoutes);
+
 // Session configuration with MongoDB store
 app.use(session({
   secret: SESSION_SECRET,
@@ -117,6 +182,15 @@ app.use(session({
 // Attach user info to all responses
 app.use(attachUserInfo);
 
+// Attach cart item count for the header badge
+app.use(attachCartCount);
+
+// Attach product categories for menus, badges and swatches
+app.use(attachCategories);
+
+// Attach saved product ids for the header count and wishlist buttons
+app.use(attachWishlist);
+
 // Request logging
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
@@ -128,9 +202,31 @@ app.use((req, res, next) => {
 // ==========================================
 
 // Home page
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  // Only visitors who already have an id have a history; don't create a session for it
+  const visitorId = req.session.userId || req.session.guestChatId || null;
+  let recentlyViewed = [];
+  let recommended = [];
+  
+  try {
+    [recentlyViewed, recommended] = await Promise.all([
+      visitorId ? RecentlyViewed.getProducts(visitorId) : [],
+      recommendForVisitor(visitorId, { limit: 8 })
+    ]);
+    [recentlyViewed, recommended] = await Promise.all([
+      Promotion.withSalePrices(recentlyViewed),
+      Promotion.withSalePrices(recommended)
+    ]);
+  } catch (error) {
+    console.error('[Server] Failed to load home page products:', error.message);
+  }
+  
   res.render('home', {
-    title: 'Lbinag Marbles'
+    title: 'Lbinag Marbles',
+    recentlyViewed,
+    recommended,
+    // Suggestions come from the visitor's own views and wishlist, not just what's popular
+    personalized: recentlyViewed.length > 0 || res.locals.wishlistCount > 0
   });
 });
 
@@ -140,11 +236,26 @@ app.use('/auth', authRoutes);
 // Catalog routes
 app.use('/catalog', catalogRoutes);
 
+// Cart routes
+app.use('/cart', cartRoutes);
+
+// Wishlist routes
+app.use('/wishlist', wishlistRoutes);
+
+// Checkout routes
+app.use('/checkout', checkoutRoutes);
+
+// Account routes (signed-in users)
+app.use('/account', accountRoutes);
+
 // API routes
 app.use('/api', apiRoutes);
 
-// Admin routes
-app.use('/admin', adminRoutes);
+// Product alert routes (unsubscribe links in emails)
+app.use('/notifications', notificationRoutes);
+
+// Admin routes (staff and admins; destructive actions are admin-only inside the router)
+app.use('/admin', requireRole('staff', 'admin'), adminRoutes);
 
 // ==========================================
 // ERROR HANDLING
@@ -178,7 +289,7 @@ app.listen(PORT, () => {
   console.log('==========================================');
   console.log(`[Server] Running on http://localhost:${PORT}`);
   console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[Server] Gemini API: ${process.env.GEMINI_API_KEY ? 'Configured' : 'Using fallback'}`);
+  console.log(`[Server] Chat model: ${getProvider().name}`);
   console.log('==========================================');
 });
 
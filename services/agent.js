@@ -0,0 +1,720 @@
+import mongoose from 'mongoose';
+import Conversation, { MAX_TITLE_LENGTH } from '../models/Conversation.js';
+import Product, { VARIANT_SIZES, variantLabel, parseTags } from '../models/Product.js';
+import Category from '../models/Category.js';
+import Cart from '../models/Cart.js';
+import Review from '../models/Review.js';
+import Wishlist from '../models/Wishlist.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+import Promotion from '../models/Promotion.js';
+import Order from '../models/Order.js';
+import { relatedProducts, alsoBoughtProducts, recommendForVisitor } from './recommendations.js';
+import { describeOffer } from './pricing.js';
+import { getProvider } from './llm/index.js';
+import { buildContext } from './context.js';
+import { GROUNDING_INSTRUCTIONS, retrieveProducts, formatCatalogContext, extractCitations, checkCitations } from './retrieval.js';
+
+/**
+ * Shopping Assistant Agent
+ * 
+ * This service runs the chat assistant and handles conversation persistence.
+ * The model answers through function calling: it can search the catalog, look up
+ * products and stock, and act on the customer's cart. Which model answers is
+ * decided by the provider layer in ./llm (Gemini, OpenAI-compatible or offline).
+ */
+
+// Reply used when the model can't be reached
+const FALLBACK_REPLY = "I'm sorry, I'm having trouble connecting right now. Please try again in a moment.";
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful marble shopping assistant for Lbinag. Prices are in Moroccan Dirham (Dh).';
+
+const TOOL_INSTRUCTIONS = 'Use the provided tools to look up real products, prices and stock instead of guessing. Never invent products.';
+
+// Maximum number of tool round-trips per user message before forcing a text answer
+const MAX_TOOL_HOPS = 4;
+
+// How many products a search tool call returns to the model
+const SEARCH_RESULT_LIMIT = 5;
+
+// How many of the most used tags are listed in the system prompt
+const PROMPT_TAG_LIMIT = 15;
+
+/**
+ * Tools the model may call (parameters in JSON Schema)
+ * The category list comes from the database, so the declarations are built per message.
+ * @param {Array} categories - Categories from Category.listAll()
+ * @returns {Array} - Tool declarations
+ */
+function buildToolDeclarations(categories) {
+  const color = { type: 'string', description: 'Only return marbles in this category (a category slug).' };
+  if (categories.length > 0) {
+    color.enum = categories.map(c => c.slug);
+  }
+  
+  return [
+    {
+      name: 'search_products',
+      description: 'Search the Lbinag marble catalog. Use this whenever the customer asks what we sell or wants recommendations.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Free-text search over product names and descriptions. May be empty.' },
+          color,
+          tag: { type: 'string', description: 'Only return marbles with this tag, e.g. "glass" or "vintage".' },
+          size: { type: 'string', enum: VARIANT_SIZES, description: 'Only return marbles sold in this size.' },
+          maxPrice: { type: 'number', description: 'Only return marbles costing at most this many Dirham.' }
+        }
+      }
+    },
+    {
+      name: 'get_product',
+      description: 'Get full details of one product by its id.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Product id returned by search_products.' }
+        },
+        required: ['id']
+      }
+    },
+    {
+      name: 'check_stock',
+      description: 'Check whether a product is in stock and how many are available, per variant for products sold in several sizes or packs.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Product id returned by search_products.' }
+        },
+        required: ['id']
+      }
+    },
+    {
+      name: 'add_to_cart',
+      description: "Add a product to the customer's shopping cart. Only call this when the customer explicitly asks to buy or add something.",
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Product id returned by search_products.' },
+          variantId: { type: 'string', description: 'Variant id, required for products that have variants.' },
+          qty: { type: 'integer', description: 'Quantity to add, defaults to 1.' }
+        },
+        required: ['id']
+      }
+    },
+    {
+      name: 'view_cart',
+      description: "Show the customer's shopping cart.",
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    {
+      name: 'get_recommendations',
+      description: 'Recommend products. With a product id: similar products and what customers also bought with it. Without one: suggestions for this customer from what they viewed and saved, or popular products.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Product id to find similar products for. Leave out for personal suggestions.' }
+        }
+      }
+    },
+    {
+      name: 'get_promotions',
+      description: 'List the promotions running now: sales, buy-X-get-Y offers and discount codes customers can use. Use this when the customer asks about deals, discounts, sales or codes.',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    {
+      name: 'get_wishlist',
+      description: 'List the products the customer saved to their wishlist, most recently saved first.',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    {
+      name: 'get_recently_viewed',
+      description: 'List the product pages the customer visited recently, newest first. Use this when they refer to something they looked at before, e.g. "that blue one I saw".',
+      parameters: {
+        type: 'object',
+        properties: {
+          color: { ...color, description: 'Only return products in this category (a category slug).' }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Shape a product's variants for a tool response
+ * @param {Object} product - Product document or plain object
+ * @returns {Array} - Variants with string ids and a readable label
+ */
+function toToolVariants(product) {
+  return (product.variants || []).map(v => ({
+    id: v._id.toString(),
+    sku: v.sku,
+    label: variantLabel(v),
+    size: v.size,
+    packSize: v.packSize,
+    price: v.price,
+    ...(v.salePrice !== undefined ? { salePrice: v.salePrice } : {}),
+    stockCount: v.stockCount
+  }));
+}
+
+/**
+ * Shape a product for a tool response
+ * For products with variants, price is the cheapest variant and stockCount the total.
+ * salePrice is there for products on sale (see Promotion.withSalePrices()).
+ * @param {Object} product - Product document or plain object
+ * @returns {Object} - Fields the model needs, with a string id
+ */
+function toToolProduct(product) {
+  const result = {
+    id: product._id.toString(),
+    name: product.name,
+    description: (product.description || '').substring(0, 200),
+    price: product.price,
+    ...(product.salePrice !== undefined ? { salePrice: product.salePrice } : {}),
+    color: product.color,
+    tags: product.tags || [],
+    inStock: product.stockCount > 0,
+    stockCount: product.stockCount
+  };
+  
+  if (product.variants && product.variants.length > 0) {
+    result.variants = toToolVariants(product);
+  }
+  
+  if (product.ratingCount > 0) {
+    result.rating = { average: product.ratingAverage, count: product.ratingCount };
+  }
+  
+  return result;
+}
+
+/**
+ * Convert products for the model, with their sale prices and a few approved
+ * review excerpts each so it can say what customers think of them
+ * @param {Array} products - Plain product objects
+ * @returns {Promise<Array>} - Tool products
+ */
+async function toToolProductsWithReviews(products) {
+  products = await Promotion.withSalePrices(products);
+  const rated = products.filter(p => p.ratingCount > 0).map(p => p._id);
+  const excerpts = rated.length > 0 ? await Review.excerpts(rated) : new Map();
+  
+  return products.map(product => {
+    const result = toToolProduct(product);
+    const reviews = excerpts.get(product._id.toString());
+    if (reviews) {
+      result.reviews = reviews;
+    }
+    return result;
+  });
+}
+
+/**
+ * Find a product by id for a tool call, tolerating malformed ids from the model
+ * @param {string} id - Product id
+ * @returns {Promise<Object|null>} - Plain product or null
+ */
+async function findToolProduct(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Product.findById(id).lean();
+}
+
+/**
+ * Tool implementations. Each receives the model's arguments and the turn state,
+ * and returns a JSON-serializable result for the model.
+ * Products surfaced by tools are recorded in state so the route can show them.
+ */
+const TOOL_HANDLERS = {
+  async search_products({ query = '', color, tag, size, maxPrice }, state) {
+    const { products } = await Product.search({
+      query,
+      color,
+      tag: parseTags(typeof tag === 'string' ? tag : '')[0] || '',
+      size: VARIANT_SIZES.includes(size) ? size : '',
+      maxPrice: typeof maxPrice === 'number' ? maxPrice : null,
+      limit: SEARCH_RESULT_LIMIT
+    });
+    
+    products.forEach(p => state.surface(p));
+    
+    return { count: products.length, products: await toToolProductsWithReviews(products) };
+  },
+  
+  async get_product({ id }, state) {
+    const product = await findToolProduct(id);
+    if (!product) {
+      return { error: 'Product not found' };
+    }
+    state.surface(product);
+    const [result] = await toToolProductsWithReviews([product]);
+    return { product: result };
+  },
+  
+  async check_stock({ id }) {
+    const product = await findToolProduct(id);
+    if (!product) {
+      return { error: 'Product not found' };
+    }
+    const result = {
+      id: product._id.toString(),
+      name: product.name,
+      inStock: product.stockCount > 0,
+      stockCount: product.stockCount
+    };
+    if (product.variants && product.variants.length > 0) {
+      result.variants = toToolVariants(product);
+    }
+    return result;
+  },
+  
+  async add_to_cart({ id, variantId, qty = 1 }, state) {
+    const quantity = Math.max(1, parseInt(qty) || 1);
+    
+    try {
+      const { product, label, quantity: inCart } = await Cart.addProduct(state.userId, id, quantity, variantId || null);
+      state.surface(product);
+      state.action = 'open_cart';
+      state.productId = product._id.toString();
+      return { success: true, product: label, added: quantity, quantityInCart: inCart };
+    } catch (error) {
+      if (error.status) {
+        // Tell the model which variants it can choose from
+        const product = error.status === 400 ? await findToolProduct(id) : null;
+        return product
+          ? { success: false, error: error.message, variants: toToolVariants(product) }
+          : { success: false, error: error.message };
+      }
+      throw error;
+    }
+  },
+  
+  async get_recommendations({ id }, state) {
+    if (id) {
+      const product = await findToolProduct(id);
+      if (!product) {
+        return { error: 'Product not found' };
+      }
+      const alsoBought = await Promotion.withSalePrices(await alsoBoughtProducts(product._id, { limit: 3 }));
+      const similar = await Promotion.withSalePrices(
+        await relatedProducts(product, { limit: SEARCH_RESULT_LIMIT, exclude: alsoBought.map(p => p._id) })
+      );
+      [...alsoBought, ...similar].forEach(p => state.surface(p));
+      return {
+        basedOn: product.name,
+        alsoBought: alsoBought.map(p => ({ ...toToolProduct(p), boughtTogetherInOrders: p.orders })),
+        similar: similar.map(p => ({ ...toToolProduct(p), why: p.reasons }))
+      };
+    }
+    
+    const products = await Promotion.withSalePrices(await recommendForVisitor(state.userId, { limit: SEARCH_RESULT_LIMIT }));
+    products.forEach(p => state.surface(p));
+    return { basedOn: null, similar: products.map(p => ({ ...toToolProduct(p), why: p.reasons })) };
+  },
+  
+  async get_wishlist(args, state) {
+    const products = await Promotion.withSalePrices(await Wishlist.getProducts(state.userId));
+    products.forEach(p => state.surface(p));
+    return {
+      count: products.length,
+      products: products.map(p => ({ ...toToolProduct(p), savedAt: p.savedAt }))
+    };
+  },
+  
+  async get_recently_viewed({ color }, state) {
+    let products = await Promotion.withSalePrices(await RecentlyViewed.getProducts(state.userId));
+    if (color) {
+      products = products.filter(p => p.color === color);
+    }
+    products.forEach(p => state.surface(p));
+    return {
+      count: products.length,
+      products: products.map(p => ({ ...toToolProduct(p), viewedAt: p.viewedAt }))
+    };
+  },
+  
+  async get_promotions() {
+    const promotions = await Promotion.listPublic();
+    const productIds = promotions.flatMap(p => p.products);
+    const products = productIds.length > 0 ? await Product.find({ _id: { $in: productIds } }, { name: 1 }).lean() : [];
+    const productNames = new Map(products.map(p => [p._id.toString(), p.name]));
+    
+    return {
+      count: promotions.length,
+      promotions: promotions.map(p => ({
+        name: p.name,
+        description: p.description,
+        offer: describeOffer(p),
+        // Without a code it applies by itself: sales lower shelf prices, offers come off at checkout
+        code: p.code || null,
+        categories: p.categories,
+        products: p.products.map(id => productNames.get(id.toString())).filter(Boolean),
+        packsOnly: p.packsOnly,
+        minCartTotal: p.minSubtotal || null,
+        endsAt: p.endsAt
+      }))
+    };
+  },
+  
+  async view_cart(args, state) {
+    // Codes entered on the cart page aren't known here; automatic promotions are applied
+    const cart = await Order.priceCheckout(state.userId);
+    state.action = 'open_cart';
+    return {
+      itemCount: cart.itemCount,
+      subtotal: cart.subtotal,
+      discounts: cart.discounts.map(d => ({ name: d.name, amount: d.amount })),
+      total: cart.total,
+      tvaIncluded: cart.taxTotal,
+      delivery: 'Added at checkout, depending on the delivery city',
+      items: cart.items.map(item => ({ name: item.name, quantity: item.quantity, unitPrice: item.unitPrice, onSale: item.onSale, lineTotal: item.lineTotal }))
+    };
+  }
+};
+
+/**
+ * Run one tool call from the model
+ * @param {Object} call - { name, args }
+ * @param {Object} state - Turn state
+ * @returns {Promise<Object>} - Tool result
+ */
+async function executeTool(call, state) {
+  const handler = TOOL_HANDLERS[call.name];
+  if (!handler) {
+    return { error: `Unknown tool: ${call.name}` };
+  }
+  
+  try {
+    console.log(`[Agent] Tool call: ${call.name}`, JSON.stringify(call.args || {}));
+    return await handler(call.args || {}, state);
+  } catch (error) {
+    console.error(`[Agent] Tool ${call.name} failed:`, error.message);
+    return { error: 'The tool failed, please try something else' };
+  }
+}
+
+/**
+ * Create the per-message state that tools write into
+ * @param {string} userId - The user's ID
+ * @returns {Object} - State with the products surfaced so far and the resulting action
+ */
+function createTurnState(userId) {
+  const products = new Map();
+  
+  return {
+    userId,
+    action: null,
+    productId: null,
+    streamedText: '',
+    products,
+    surface(product) {
+      const id = product._id.toString();
+      if (!products.has(id)) {
+        products.set(id, product);
+      }
+    }
+  };
+}
+
+/**
+ * Describe the shop's categories and common tags for the system prompt
+ * @param {Array} categories - Categories from Category.listAll()
+ * @param {Array} tags - Most used tags
+ * @returns {string} - Prompt sentences
+ */
+function describeCatalog(categories, tags) {
+  const parts = [];
+  if (categories.length > 0) {
+    parts.push(`We sell marbles in these categories: ${categories.map(c => `${c.name} (${c.slug})`).join(', ')}.`);
+  }
+  if (tags.length > 0) {
+    parts.push(`Products are also tagged, for example: ${tags.join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Run the model with tools until it answers in text or the hop limit is hit
+ * @param {Object} context - { system, messages } from buildContext()
+ * @param {Array} catalog - Products retrieved for this message
+ * @param {Object} state - Turn state the tools write into
+ * @param {Object|null} stream - { onToken, signal } to stream text, or null for a single response
+ * @returns {Promise<string|null>} - The assistant's reply
+ */
+async function runAgent(context, catalog, state, stream = null) {
+  const provider = getProvider();
+  
+  const [categories, tags] = await Promise.all([Category.listAll(), Product.popularTags(PROMPT_TAG_LIMIT)]);
+  const tools = buildToolDeclarations(categories);
+  
+  const system = `${context.system || DEFAULT_SYSTEM_PROMPT} ${describeCatalog(categories, tags)} ${TOOL_INSTRUCTIONS} ${GROUNDING_INSTRUCTIONS}\n\n${formatCatalogContext(catalog)}`;
+  const messages = [...context.messages];
+  
+  for (let hop = 0; hop <= MAX_TOOL_HOPS; hop++) {
+    // On the last hop, tools are disabled so the model has to answer
+    const request = { system, messages, tools, allowTools: hop < MAX_TOOL_HOPS };
+    
+    const result = stream
+      ? await provider.stream({
+        ...request,
+        signal: stream.signal,
+        onText: (text) => {
+          state.streamedText += text;
+          stream.onToken(text);
+        }
+      })
+      : await provider.generate(request);
+    
+    if (!result) {
+      return null;
+    }
+    
+    if (!result.toolCalls || result.toolCalls.length === 0) {
+      return result.text.trim() || null;
+    }
+    
+    // Record the model's call turn, then answer every call
+    messages.push({ role: 'assistant', content: result.text || '', toolCalls: result.toolCalls });
+    
+    for (const call of result.toolCalls) {
+      const content = await executeTool(call, state);
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content });
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function threadError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Load one of the user's threads, or their latest open one when no id is given
+ * @param {string} userId - The user's ID
+ * @param {string|undefined} threadId - Thread id from the client
+ * @returns {Promise<Object>} - Conversation document
+ */
+async function resolveThread(userId, threadId) {
+  if (!threadId) {
+    return Conversation.getOrCreate(userId);
+  }
+  
+  const conversation = await Conversation.findThread(userId, threadId);
+  if (!conversation) {
+    throw threadError('Conversation not found', 404);
+  }
+  return conversation;
+}
+
+/**
+ * Handle one user message end to end: persist it, run the agent, persist the reply
+ * @param {string} userId - The user's ID
+ * @param {string} message - The user's message
+ * @param {string|undefined} threadId - Thread to post in (defaults to the latest open one)
+ * @param {Object|null} stream - { onToken, signal } for streaming, or null
+ * @returns {Promise<Object|null>} - { reply, action, product_id, topMatches, ungroundedProducts, thread }, or null if the stream was aborted
+ */
+async function processMessage(userId, message, threadId, stream = null) {
+  console.log(`[Agent] Processing message for user ${userId}`);
+  
+  const conversation = await resolveThread(userId, threadId);
+  
+  // Writing in an archived thread reopens it
+  conversation.archived = false;
+  
+  // Add user message to conversation
+  await conversation.addMessage('user', message);
+  
+  // Run the model, letting it call catalog and cart tools
+  const state = createTurnState(userId);
+  let reply;
+  
+  try {
+    // Recent turns verbatim, older ones through the rolling summary
+    const context = await buildContext(conversation);
+    const catalog = await retrieveProducts(message);
+    reply = await runAgent(context, catalog, state, stream);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+    
+    // The client went away mid-stream: keep what had arrived so the history matches what they saw
+    const partial = extractCitations(state.streamedText).text.trim();
+    if (partial) {
+      await conversation.addMessage('assistant', partial);
+    }
+    console.log(`[Agent] Stream aborted by client for user ${userId}`);
+    return null;
+  }
+  
+  // If API failed, return error message
+  if (!reply) {
+    reply = FALLBACK_REPLY;
+  }
+  
+  // Check the products the model cited; made-up ones are flagged, real ones become suggestions
+  const { text, citations } = extractCitations(reply);
+  const { grounded, ungrounded } = await checkCitations(citations);
+  reply = text;
+  grounded.forEach(p => state.surface(p));
+  
+  if (ungrounded.length > 0) {
+    console.warn(`[Agent] Reply for user ${userId} cites products not in the catalog: ${ungrounded.join(', ')}`);
+  }
+  
+  // Save assistant response to conversation
+  await conversation.addMessage('assistant', reply);
+  
+  // Keep the stored document bounded
+  await conversation.archiveOldMessages();
+  
+  // Products the tools returned or the reply cited become the suggestions
+  const topMatches = [...state.products.values()].slice(0, 3).map(p => ({
+    id: p._id.toString(),
+    name: p.name,
+    price: p.price,
+    color: p.color
+  }));
+  
+  const action = state.action || (topMatches.length > 0 ? 'show_products' : null);
+  
+  console.log(`[Agent] Response generated, action: ${action || 'none'}`);
+  
+  return {
+    reply,
+    action,
+    product_id: state.productId || topMatches[0]?.id || null,
+    topMatches,
+    ungroundedProducts: ungrounded,
+    thread: conversation.toThread()
+  };
+}
+
+/**
+ * Send a message to the agent and get a response
+ * @param {string} userId - The user's ID
+ * @param {string} message - The user's message
+ * @param {Object} options - { threadId }
+ * @returns {Promise<Object>} - { reply, action, product_id, topMatches, ungroundedProducts, thread }
+ */
+export async function sendMessage(userId, message, { threadId } = {}) {
+  return processMessage(userId, message, threadId);
+}
+
+/**
+ * Send a message to the agent and stream the reply
+ * @param {string} userId - The user's ID
+ * @param {string} message - The user's message
+ * @param {Object} options - { threadId, onToken(text), signal: AbortSignal }
+ * @returns {Promise<Object|null>} - Same as sendMessage, or null if the signal aborted the stream
+ */
+export async function streamMessage(userId, message, { threadId, onToken, signal }) {
+  return processMessage(userId, message, threadId, { onToken, signal });
+}
+
+/**
+ * Get the history of one thread, or of the user's latest open thread
+ * Nothing is created for a user who has never chatted.
+ * @param {string} userId - The user's ID
+ * @param {string|undefined} threadId - Thread id
+ * @returns {Promise<Object>} - { thread, messages } (thread is null when there is none yet)
+ */
+export async function getConversation(userId, threadId) {
+  const conversation = threadId
+    ? await Conversation.findThread(userId, threadId)
+    : await Conversation.findOne({ userId, archived: false }).sort({ lastMessageAt: -1 });
+  
+  if (!conversation) {
+    if (threadId) {
+      throw threadError('Conversation not found', 404);
+    }
+    return { thread: null, messages: [] };
+  }
+  
+  // Return messages without the system message
+  const messages = conversation.messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp
+    }));
+  
+  return { thread: conversation.toThread(), messages };
+}
+
+/**
+ * List a user's threads, most recently active first
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} - [{ id, title, archived, lastMessageAt }]
+ */
+export async function listThreads(userId) {
+  return Conversation.listThreads(userId);
+}
+
+/**
+ * Start a new thread
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object>} - The thread
+ */
+export async function createThread(userId) {
+  const conversation = await Conversation.createThread(userId);
+  return conversation.toThread();
+}
+
+/**
+ * Rename a thread and/or archive or reopen it
+ * @param {string} userId - The user's ID
+ * @param {string} threadId - Thread id
+ * @param {Object} changes - { title?: string, archived?: boolean }
+ * @returns {Promise<Object>} - The updated thread
+ */
+export async function updateThread(userId, threadId, { title, archived }) {
+  const conversation = await Conversation.findThread(userId, threadId);
+  if (!conversation) {
+    throw threadError('Conversation not found', 404);
+  }
+  
+  if (title !== undefined) {
+    const trimmed = String(title).trim();
+    if (!trimmed) {
+      throw threadError('Title cannot be empty');
+    }
+    conversation.title = trimmed.substring(0, MAX_TITLE_LENGTH);
+  }
+  
+  if (typeof archived === 'boolean') {
+    conversation.archived = archived;
+  }
+  
+  await conversation.save();
+  console.log(`[Agent] Thread ${threadId} updated for user ${userId}`);
+  
+  return conversation.toThread();
+}
+
+export default {
+  sendMessage,
+  streamMessage,
+  getConversation,
+  listThreads,
+  createThread,
+  updateThread
+};
@@ -0,0 +1,717 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import AdmZip from 'adm-zip';
+import Product, { VARIANT_SIZES, parseTags, productImages } from '../models/Product.js';
+import Category, { slugify } from '../models/Category.js';
+import { toCsv, parseCsv, unescapeCell } from './csv.js';
+import { escapeRegex } from './search.js';
+import { processImage } from './images.js';
+import { uploadUrl, deleteUploads } from './uploads.js';
+
+/**
+ * Bulk Product Import and Export
+ *
+ * The whole catalog can be exported as CSV (one row per variant, product
+ * columns repeated) or JSON (one object per product), and either file can be
+ * imported back. Imports upsert: a row updates the product with its slug, the
+ * product that owns its SKU or, without either, the product with its name, and
+ * creates one otherwise. Empty cells keep the current value, and variants not
+ * in the file are left alone.
+ *
+ * Pictures are given as URLs (as exported) or as file names found in a zip
+ * uploaded alongside. Every import is planned first as a dry run; committing
+ * re-plans against the current catalog and saves only the products without errors.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+
+// CSV columns, in export order. Import also accepts "color" for category.
+const CSV_HEADERS = [
+  'slug', 'name', 'description', 'category', 'tags', 'price', 'stockCount', 'images',
+  'weight', 'length', 'width', 'height',
+  'sku', 'size', 'packSize', 'variantPrice', 'variantStock'
+];
+
+// Separates pictures in the images column
+const IMAGE_SEPARATOR = ' | ';
+
+// Limits for the pictures zip
+const MAX_ZIP_ENTRIES = 500;
+const MAX_ZIP_IMAGE_BYTES = 5 * 1024 * 1024;
+const ZIP_IMAGE_PATTERN = /\.(jpe?g|png|gif|webp)$/i;
+
+// Uploaded files wait here between the preview and the commit
+const IMPORTS_DIR = path.join(os.tmpdir(), 'lbinag-imports');
+const IMPORT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function importError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ==========================================
+// EXPORT
+// ==========================================
+
+/**
+ * One export row per variant, or one for a product without variants
+ */
+function exportRows(products) {
+  return products.flatMap(product => (product.variants && product.variants.length > 0)
+    ? product.variants.map(variant => ({ product, variant }))
+    : [{ product, variant: null }]);
+}
+
+const PRODUCT_CSV_COLUMNS = [
+  { header: 'slug', value: r => r.product.slug },
+  { header: 'name', value: r => r.product.name },
+  { header: 'description', value: r => r.product.description },
+  { header: 'category', value: r => r.product.color },
+  { header: 'tags', value: r => (r.product.tags || []).join(', ') },
+  { header: 'price', value: r => r.variant ? '' : r.product.price },
+  { header: 'stockCount', value: r => r.variant ? '' : r.product.stockCount },
+  { header: 'images', value: r => productImages(r.product, { fallbackAlt: false }).map(image => image.url).join(IMAGE_SEPARATOR) },
+  { header: 'weight', value: r => r.product.weight },
+  { header: 'length', value: r => r.product.dimensions?.length },
+  { header: 'width', value: r => r.product.dimensions?.width },
+  { header: 'height', value: r => r.product.dimensions?.height },
+  { header: 'sku', value: r => r.variant?.sku },
+  { header: 'size', value: r => r.variant?.size },
+  { header: 'packSize', value: r => r.variant?.packSize },
+  { header: 'variantPrice', value: r => r.variant?.price },
+  { header: 'variantStock', value: r => r.variant?.stockCount }
+];
+
+/**
+ * Shape a product for the JSON export (the same shape the JSON import reads)
+ */
+function productToJson(product) {
+  return {
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    category: product.color,
+    tags: product.tags || [],
+    price: product.price,
+    stockCount: product.stockCount,
+    images: productImages(product, { fallbackAlt: false }),
+    weight: product.weight || 0,
+    dimensions: {
+      length: product.dimensions?.length ?? null,
+      width: product.dimensions?.width ?? null,
+      height: product.dimensions?.height ?? null
+    },
+    variants: (product.variants || []).map(v => ({
+      sku: v.sku,
+      size: v.size,
+      packSize: v.packSize,
+      price: v.price,
+      stockCount: v.stockCount,
+      imageUrl: v.imageUrl || undefined
+    }))
+  };
+}
+
+/**
+ * Export the full catalog
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Promise<string>} - File contents
+ */
+export async function exportProducts(format) {
+  // Imports match rows by slug, so every exported product needs one
+  await Product.fillMissingSlugs();
+  const products = await Product.find().sort({ name: 1 }).lean();
+
+  if (format === 'json') {
+    return JSON.stringify(products.map(productToJson), null, 2) + '\n';
+  }
+  return toCsv(exportRows(products), PRODUCT_CSV_COLUMNS);
+}
+
+// ==========================================
+// READING FILES
+// ==========================================
+
+/**
+ * Read a text cell: trimmed, undefined when empty
+ */
+function readText(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  const text = unescapeCell(String(value).trim());
+  return text === '' ? undefined : text;
+}
+
+/**
+ * Read a number cell, accepting a decimal comma ("12,50")
+ * Problems are added to errors; undefined when empty or invalid.
+ */
+function readNumber(value, field, errors, { integer = false } = {}) {
+  const text = readText(value);
+  if (text === undefined) {
+    return undefined;
+  }
+
+  const number = Number(text.replace(',', '.'));
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    errors.push(`${field} must be a ${integer ? 'whole ' : ''}number of 0 or more, got "${text}"`);
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Read a pictures list: "a.jpg | /uploads/b.webp" in CSV, strings or { url, alt } in JSON
+ * @returns {Array|undefined} - [{ source, alt }]
+ */
+function readImages(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split('|');
+  const images = items
+    .map(item => typeof item === 'object' && item !== null
+      ? { source: readText(item.url || item.file), alt: readText(item.alt) }
+      : { source: readText(item), alt: undefined })
+    .filter(image => image.source);
+
+  return Array.isArray(value) || images.length > 0 ? images : undefined;
+}
+
+/**
+ * Read one product row or JSON item into a line: product fields plus its variants
+ */
+function readLine(label, data, variants) {
+  const errors = [];
+  const line = {
+    label,
+    errors,
+    slug: readText(data.slug),
+    name: readText(data.name),
+    description: readText(data.description),
+    category: readText(data.category ?? data.color),
+    tags: data.tags === undefined || data.tags === null || data.tags === '' ? undefined : parseTags(data.tags),
+    price: readNumber(data.price, 'price', errors),
+    stockCount: readNumber(data.stockCount, 'stockCount', errors, { integer: true }),
+    images: readImages(data.images),
+    // Grams, and centimetres given as columns in CSV or as { length, width, height } in JSON
+    weight: readNumber(data.weight, 'weight', errors),
+    length: readNumber(data.length ?? data.dimensions?.length, 'length', errors),
+    width: readNumber(data.width ?? data.dimensions?.width, 'width', errors),
+    height: readNumber(data.height ?? data.dimensions?.height, 'height', errors)
+  };
+
+  line.variants = variants.map(v => ({
+    sku: readText(v.sku)?.toUpperCase(),
+    size: readText(v.size)?.toLowerCase(),
+    packSize: readNumber(v.packSize, 'packSize', errors, { integer: true }),
+    price: readNumber(v.price, 'variant price', errors),
+    stockCount: readNumber(v.stockCount, 'variant stock', errors, { integer: true })
+  }));
+
+  for (const variant of line.variants) {
+    if (!variant.sku) {
+      errors.push('Variants need a SKU');
+    } else if (variant.size !== undefined && !VARIANT_SIZES.includes(variant.size)) {
+      errors.push(`Size "${variant.size}" isn't one of ${VARIANT_SIZES.join(', ')}`);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Read a CSV catalog file into lines
+ */
+function readCsvLines(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw importError('The CSV file is empty');
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  const known = new Map(CSV_HEADERS.map(header => [header.toLowerCase(), header]));
+  known.set('color', 'category');
+
+  if (!headers.some(header => ['slug', 'name', 'sku'].includes(header))) {
+    throw importError(`The first row must name the columns, including slug, name or sku. Columns: ${CSV_HEADERS.join(', ')}`);
+  }
+
+  const lines = [];
+  rows.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => cell.trim() === '')) {
+      return;
+    }
+
+    const data = {};
+    headers.forEach((header, column) => {
+      if (known.has(header)) {
+        data[known.get(header)] = cells[column];
+      }
+    });
+
+    const variant = readText(data.sku) || readText(data.size) || readText(data.variantPrice) || readText(data.variantStock)
+      ? [{ sku: data.sku, size: data.size, packSize: data.packSize, price: data.variantPrice, stockCount: data.variantStock }]
+      : [];
+
+    lines.push(readLine(`Row ${index + 2}`, data, variant));
+  });
+
+  return lines;
+}
+
+/**
+ * Read a JSON catalog file (an array of products, or { products: [...] }) into lines
+ */
+function readJsonLines(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw importError(`The JSON file could not be read: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(items)) {
+    throw importError('The JSON file must hold an array of products');
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      return { label: `Item ${index + 1}`, errors: ['Not a product object'], variants: [] };
+    }
+    return readLine(`Item ${index + 1}`, item, Array.isArray(item.variants) ? item.variants : []);
+  });
+}
+
+/**
+ * Index the pictures in an uploaded zip by lowercase file name (folders are ignored)
+ * @param {Buffer|null} buffer - Zip contents
+ * @returns {Map} - name -> zip entry
+ */
+function readZipImages(buffer) {
+  const images = new Map();
+  if (!buffer) {
+    return images;
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw importError(`The pictures zip could not be read: ${error.message}`);
+  }
+
+  const files = entries.filter(entry => !entry.isDirectory && ZIP_IMAGE_PATTERN.test(entry.entryName));
+  if (files.length > MAX_ZIP_ENTRIES) {
+    throw importError(`The pictures zip holds more than ${MAX_ZIP_ENTRIES} images`);
+  }
+
+  for (const entry of files) {
+    const name = path.posix.basename(entry.entryName.replace(/\\/g, '/')).toLowerCase();
+    if (!name.startsWith('.')) {
+      images.set(name, entry);
+    }
+  }
+  return images;
+}
+
+// ==========================================
+// PLANNING
+// ==========================================
+
+/**
+ * Whether a picture source is a URL to keep rather than a file name to find in the zip
+ */
+function isImageUrl(source) {
+  return /^\/uploads\/[^/]+$/.test(source) || /^https?:\/\//i.test(source);
+}
+
+/**
+ * Gather lines into one entry per product
+ * Rows without a slug are matched by the product that owns their SKU, then by a
+ * product with the same name (which may predate slugs), then by the slug their
+ * name would get.
+ */
+function groupLines(lines, existingBySlug, existingBySku, existingByName) {
+  const groups = new Map();
+
+  for (const line of lines) {
+    const owner = line.variants.map(v => existingBySku.get(v.sku)).find(Boolean) || null;
+    const slug = line.slug ? slugify(line.slug) : null;
+
+    if (slug && owner && owner.slug !== slug) {
+      line.errors.push(`SKU ${line.variants[0].sku} belongs to another product (${owner.slug || owner.name})`);
+    }
+
+    let named = null;
+    if (!slug && !owner && line.name) {
+      const sameName = existingByName.get(line.name.toLowerCase()) || [];
+      if (sameName.length > 1) {
+        line.errors.push(`${sameName.length} products are named "${line.name}", add a slug to say which one`);
+      }
+      named = sameName[0] || null;
+    }
+    const match = owner || named;
+
+    const key = slug || (match && (match.slug || `#${match._id}`)) || slugify(line.name);
+    if (!key) {
+      line.errors.push('Needs a slug, a known SKU or a name');
+    }
+
+    const groupKey = key || line.label;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        key: groupKey,
+        slug: key && !key.startsWith('#') ? key : null,
+        product: existingBySlug.get(key) || match,
+        labels: [],
+        errors: [],
+        fields: {},
+        variants: []
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.labels.push(line.label);
+    group.errors.push(...line.errors.map(error => `${line.label}: ${error}`));
+
+    // The first row with a value sets each product field
+    for (const field of ['name', 'description', 'category', 'tags', 'price', 'stockCount', 'images', 'weight', 'length', 'width', 'height']) {
+      if (group.fields[field] === undefined && line[field] !== undefined) {
+        group.fields[field] = line[field];
+      }
+    }
+    group.variants.push(...line.variants.map(variant => ({ ...variant, label: line.label })));
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Find a category by slug or name
+ * @returns {string|null} - Category slug
+ */
+function resolveCategory(value, categories) {
+  const wanted = value.toLowerCase();
+  const category = categories.find(c => c.slug === slugify(value) || c.name.toLowerCase() === wanted);
+  return category ? category.slug : null;
+}
+
+/**
+ * Apply a group's fields to its product document (new or existing)
+ * Pictures from the zip get a placeholder URL until they're processed on commit.
+ */
+function applyGroup(group, doc, { categories, zipImages }) {
+  const { fields, errors } = group;
+
+  if (group.slug && doc.slug !== group.slug) {
+    doc.slug = group.slug;
+  }
+  if (fields.name !== undefined) doc.name = fields.name;
+  if (fields.description !== undefined) doc.description = fields.description;
+  if (fields.tags !== undefined && fields.tags.join(',') !== (doc.tags || []).join(',')) {
+    doc.tags = fields.tags;
+  }
+  if (fields.weight !== undefined) doc.weight = fields.weight;
+  for (const side of ['length', 'width', 'height']) {
+    if (fields[side] !== undefined) doc.set(`dimensions.${side}`, fields[side]);
+  }
+
+  if (fields.category !== undefined) {
+    const slug = resolveCategory(fields.category, categories);
+    if (slug) {
+      doc.color = slug;
+    } else {
+      errors.push(`Unknown category "${fields.category}"`);
+    }
+  } else if (doc.isNew) {
+    errors.push('A new product needs a category');
+  }
+
+  for (const row of group.variants) {
+    let variant = doc.variants.find(v => v.sku === row.sku);
+    if (!variant) {
+      if (row.price === undefined) {
+        errors.push(`${row.label}: new variant ${row.sku} needs a variantPrice`);
+        continue;
+      }
+      doc.variants.push({ sku: row.sku, size: row.size || 'standard', packSize: row.packSize || 1, price: row.price, stockCount: row.stockCount || 0 });
+      continue;
+    }
+    if (row.size !== undefined) variant.size = row.size;
+    if (row.packSize !== undefined) variant.packSize = row.packSize;
+    if (row.price !== undefined) variant.price = row.price;
+    if (row.stockCount !== undefined) variant.stockCount = row.stockCount;
+  }
+
+  // Price and stock come from the variants when there are any
+  if (doc.variants.length === 0) {
+    if (fields.price !== undefined) {
+      doc.price = fields.price;
+    } else if (doc.isNew) {
+      errors.push('A new product needs a price, or variants with prices');
+    }
+    if (fields.stockCount !== undefined) doc.stockCount = fields.stockCount;
+  }
+
+  group.pendingImages = [];
+  group.removedFiles = [];
+  if (fields.images !== undefined) {
+    const current = productImages(doc, { fallbackAlt: false });
+    const currentAlt = new Map(current.map(image => [image.url, image.alt]));
+
+    const images = fields.images.map(({ source, alt }) => {
+      if (isImageUrl(source)) {
+        return { url: source, alt: alt ?? currentAlt.get(source) ?? '' };
+      }
+
+      const entry = zipImages.get(path.basename(source).toLowerCase());
+      if (!entry) {
+        errors.push(`Picture "${source}" isn't in the pictures zip`);
+        return null;
+      }
+      if (entry.header.size > MAX_ZIP_IMAGE_BYTES) {
+        errors.push(`Picture "${source}" is larger than 5MB`);
+        return null;
+      }
+      const placeholder = `/uploads/${path.basename(entry.entryName)}`;
+      group.pendingImages.push({ placeholder, entry });
+      return { url: placeholder, alt: alt || '' };
+    }).filter(Boolean);
+
+    const changed = images.length !== current.length ||
+      images.some((image, i) => image.url !== current[i].url || image.alt !== current[i].alt);
+    if (changed) {
+      doc.images = images;
+      group.removedFiles = current.map(image => image.url).filter(url => !images.some(image => image.url === url));
+    }
+  }
+}
+
+/**
+ * Plan an import: match every row to a product, apply it and validate, without saving
+ * @param {Object} upload - { format, text, zip } from the uploaded files
+ * @returns {Promise<Object>} - { groups, summary: { create, update, unchanged, error } }
+ */
+export async function planImport({ format, text, zip = null }) {
+  const lines = format === 'json' ? readJsonLines(text) : readCsvLines(text);
+  if (lines.length === 0) {
+    throw importError('The file has no products in it');
+  }
+  const zipImages = readZipImages(zip);
+
+  const slugs = [...new Set(lines.map(line => line.slug || slugify(line.name)).filter(Boolean).map(slugify))];
+  const skus = [...new Set(lines.flatMap(line => line.variants.map(v => v.sku)).filter(Boolean))];
+  // Names are matched regardless of case, like the lookup in groupLines
+  const names = [...new Set(lines.filter(line => !line.slug && line.name).map(line => line.name.toLowerCase()))]
+    .map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+
+  const [existing, categories] = await Promise.all([
+    Product.find({ $or: [{ slug: { $in: slugs } }, { 'variants.sku': { $in: skus } }, { name: { $in: names } }] }),
+    Category.listAll()
+  ]);
+  const existingBySlug = new Map(existing.filter(p => p.slug).map(p => [p.slug, p]));
+  const existingBySku = new Map(existing.flatMap(p => p.variants.map(v => [v.sku, p])));
+  const existingByName = new Map();
+  for (const product of existing) {
+    const name = product.name.toLowerCase();
+    existingByName.set(name, [...(existingByName.get(name) || []), product]);
+  }
+
+  const groups = groupLines(lines, existingBySlug, existingBySku, existingByName);
+  const skuGroups = new Map();
+
+  for (const group of groups) {
+    const doc = group.product || new Product();
+    group.product = doc;
+
+    // Rows that can't be matched to a product have nothing to apply
+    if (group.errors.length === 0 || group.slug || !doc.isNew) {
+      applyGroup(group, doc, { categories, zipImages });
+    }
+
+    // A SKU can only be in one product, in the file and in the catalog
+    for (const variant of doc.variants) {
+      const other = skuGroups.get(variant.sku);
+      if (other && other !== group) {
+        group.errors.push(`SKU ${variant.sku} is also used by ${other.key}`);
+      }
+      skuGroups.set(variant.sku, group);
+
+      const owner = existingBySku.get(variant.sku);
+      if (owner && !owner._id.equals(doc._id)) {
+        group.errors.push(`SKU ${variant.sku} already belongs to ${owner.slug || owner.name}`);
+      }
+    }
+
+    if (group.errors.length === 0) {
+      try {
+        await doc.validate();
+      } catch (error) {
+        const messages = error.errors ? Object.values(error.errors).map(e => e.message) : [error.message];
+        group.errors.push(...messages);
+      }
+    }
+
+    const changes = doc.isNew ? [] : [...new Set(doc.modifiedPaths().map(p => p.split('.')[0]))]
+      .filter(p => !['imageUrl', 'inStock'].includes(p))
+      .map(p => p === 'color' ? 'category' : p);
+
+    group.action = group.errors.length > 0 ? 'error' : (doc.isNew ? 'create' : (changes.length > 0 ? 'update' : 'unchanged'));
+    group.changes = changes;
+    group.name = doc.name || group.fields.name || group.key;
+    group.variantCount = doc.variants.length;
+  }
+
+  const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+  groups.forEach(group => summary[group.action]++);
+
+  return { groups, summary };
+}
+
+/**
+ * Save a planned import: pictures from the zip are processed, then every product
+ * without errors is saved. Products that fail to save are reported, not fatal.
+ * @param {Object} plan - Result of planImport()
+ * @returns {Promise<Object>} - { created, updated, unchanged, skipped, failures: [message] }
+ */
+export async function commitImport(plan) {
+  const result = { created: 0, updated: 0, unchanged: 0, skipped: 0, failures: [] };
+
+  for (const group of plan.groups) {
+    if (group.action === 'error') {
+      result.skipped++;
+      continue;
+    }
+    if (group.action === 'unchanged') {
+      result.unchanged++;
+      continue;
+    }
+
+    const doc = group.product;
+    const processed = [];
+
+    try {
+      for (const { placeholder, entry } of group.pendingImages) {
+        const filename = await processImage(entry.getData(), path.basename(entry.entryName));
+        const url = uploadUrl({ filename });
+        processed.push(url);
+        doc.images.filter(image => image.url === placeholder).forEach(image => { image.url = url; });
+      }
+
+      await doc.save();
+    } catch (error) {
+      console.error('[Import] Failed to save', group.key, error.message);
+      await deleteUploads(processed);
+      result.failures.push(`${group.name}: ${error.message}`);
+      result.skipped++;
+      continue;
+    }
+
+    await deleteUploads(group.removedFiles);
+    result[group.action === 'create' ? 'created' : 'updated']++;
+  }
+
+  console.log(`[Import] ${result.created} created, ${result.updated} updated, ${result.unchanged} unchanged, ${result.skipped} skipped`);
+  return result;
+}
+
+// ==========================================
+// PENDING UPLOADS
+// ==========================================
+
+/**
+ * Remove pending imports left behind by previews that were never committed
+ */
+async function removeStaleImports() {
+  let names = [];
+  try {
+    names = await fs.promises.readdir(IMPORTS_DIR);
+  } catch (error) {
+    return;
+  }
+
+  for (const name of names) {
+    const dir = path.join(IMPORTS_DIR, name);
+    try {
+      const stat = await fs.promises.stat(dir);
+      if (Date.now() - stat.mtimeMs > IMPORT_MAX_AGE_MS) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    } catch (error) {
+      console.error('[Import] Failed to remove stale import', name, error.message);
+    }
+  }
+}
+
+/**
+ * Keep uploaded import files until the admin commits or abandons the preview
+ * @param {Object} upload - { format, text, zip }
+ * @returns {Promise<string>} - Id to load them with
+ */
+export async function savePendingImport({ format, text, zip }) {
+  await removeStaleImports();
+
+  const id = crypto.randomBytes(12).toString('hex');
+  const dir = path.join(IMPORTS_DIR, id);
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, `catalog.${format}`), text);
+  if (zip) {
+    await fs.promises.writeFile(path.join(dir, 'images.zip'), zip);
+  }
+  return id;
+}
+
+/**
+ * Load import files saved by savePendingImport()
+ * @param {string} id - Pending import id
+ * @returns {Promise<Object|null>} - { format, text, zip }, or null if they're gone
+ */
+export async function loadPendingImport(id) {
+  if (typeof id !== 'string' || !/^[a-f0-9]{24}$/.test(id)) {
+    return null;
+  }
+
+  const dir = path.join(IMPORTS_DIR, id);
+  for (const format of IMPORT_FORMATS) {
+    try {
+      const text = await fs.promises.readFile(path.join(dir, `catalog.${format}`), 'utf8');
+      const zip = await fs.promises.readFile(path.join(dir, 'images.zip')).catch(() => null);
+      return { format, text, zip };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete a pending import's files
+ * @param {string} id - Pending import id
+ */
+export async function discardPendingImport(id) {
+  if (typeof id === 'string' && /^[a-f0-9]{24}$/.test(id)) {
+    await fs.promises.rm(path.join(IMPORTS_DIR, id), { recursive: true, force: true });
+  }
+}
+
+export default {
+  IMPORT_FORMATS,
+  exportProducts,
+  planImport,
+  commitImport,
+  savePendingImport,
+  loadPendingImport,
+  discardPendingImport
+};
@@ -0,0 +1,145 @@
+import { PRODUCT_SORTS, DEFAULT_PAGE_SIZE, VARIANT_SIZES, parseTags } from '../models/Product.js';
+
+/**
+ * Catalog Query Helpers
+ *
+ * Shared by the catalog pages and the search API: turn query-string parameters
+ * into Product.search() options, and build links that keep the current filters.
+ */
+
+export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best match' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price-asc', label: 'Price: low to high' },
+  { value: 'price-desc', label: 'Price: high to low' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'name', label: 'Name' }
+];
+
+// Minimum star ratings offered as a filter
+export const RATING_FILTERS = [4, 3, 2];
+
+// Page links shown on each side of the current page
+const PAGE_WINDOW = 2;
+
+/**
+ * Parse a non-negative price from the query string
+ * @param {string} value - Raw value
+ * @returns {number|null} - Price, or null when missing or invalid
+ */
+function parsePrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Default sort: best match for searches, newest otherwise
+ * @param {string} query - Search text
+ * @returns {string} - Sort key
+ */
+function defaultSort(query) {
+  return query ? 'relevance' : 'newest';
+}
+
+/**
+ * Turn query-string parameters into search options
+ * Accepts q, color, tag, size, minRating, minPrice, maxPrice, inStock (1/true/on), sort, page and limit.
+ * @param {Object} query - req.query
+ * @returns {Object} - Options for Product.search()
+ */
+export function parseSearchParams(query = {}) {
+  let minPrice = parsePrice(query.minPrice);
+  let maxPrice = parsePrice(query.maxPrice);
+
+  // A reversed range is almost certainly the two fields swapped
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+
+  return {
+    query: text,
+    color: typeof query.color === 'string' && query.color !== 'all' ? query.color.toLowerCase() : '',
+    tag: parseTags(typeof query.tag === 'string' ? query.tag : '')[0] || '',
+    size: VARIANT_SIZES.includes(query.size) ? query.size : '',
+    minRating: RATING_FILTERS.includes(parseInt(query.minRating)) ? parseInt(query.minRating) : null,
+    minPrice,
+    maxPrice,
+    inStockOnly: ['1', 'true', 'on'].includes(query.inStock),
+    sort: PRODUCT_SORTS[query.sort] ? query.sort : defaultSort(text),
+    page: parseInt(query.page) || 1,
+    limit: parseInt(query.limit) || DEFAULT_PAGE_SIZE
+  };
+}
+
+/**
+ * Build a catalog URL for a set of search options, leaving out defaults
+ * @param {Object} options - Search options from parseSearchParams()
+ * @param {Object} overrides - Options to change, e.g. { page: 2 }
+ * @returns {string} - URL like /catalog?color=red&page=2
+ */
+export function buildCatalogUrl(options, overrides = {}) {
+  const merged = { ...options, ...overrides };
+  const params = new URLSearchParams();
+
+  if (merged.query) params.set('q', merged.query);
+  if (merged.color) params.set('color', merged.color);
+  if (merged.tag) params.set('tag', merged.tag);
+  if (merged.size) params.set('size', merged.size);
+  if (merged.minRating) params.set('minRating', merged.minRating);
+  if (merged.minPrice !== null) params.set('minPrice', merged.minPrice);
+  if (merged.maxPrice !== null) params.set('maxPrice', merged.maxPrice);
+  if (merged.inStockOnly) params.set('inStock', '1');
+  if (merged.sort && merged.sort !== defaultSort(merged.query)) params.set('sort', merged.sort);
+  if (merged.limit && merged.limit !== DEFAULT_PAGE_SIZE) params.set('limit', merged.limit);
+  if (merged.page && merged.page > 1) params.set('page', merged.page);
+
+  const queryString = params.toString();
+  return queryString ? `/catalog?${queryString}` : '/catalog';
+}
+
+/**
+ * Build the page links for a search result
+ * @param {Object} result - Result of Product.search()
+ * @param {Object} options - Search options the result came from
+ * @returns {Object|null} - { prevUrl, nextUrl, links: [{ number, url, current, gap }] }, or null for a single page
+ */
+export function buildPagination(result, options) {
+  if (result.pages <= 1) {
+    return null;
+  }
+
+  const links = [];
+  let last = 0;
+
+  for (let number = 1; number <= result.pages; number++) {
+    const nearCurrent = Math.abs(number - result.page) <= PAGE_WINDOW;
+    if (number !== 1 && number !== result.pages && !nearCurrent) {
+      continue;
+    }
+    if (number - last > 1) {
+      links.push({ gap: true });
+    }
+    links.push({
+      number,
+      url: buildCatalogUrl(options, { page: number }),
+      current: number === result.page
+    });
+    last = number;
+  }
+
+  return {
+    prevUrl: result.page > 1 ? buildCatalogUrl(options, { page: result.page - 1 }) : null,
+    nextUrl: result.page < result.pages ? buildCatalogUrl(options, { page: result.page + 1 }) : null,
+    links
+  };
+}
+
+export default {
+  SORT_OPTIONS,
+  RATING_FILTERS,
+  parseSearchParams,
+  buildCatalogUrl,
+  buildPagination
+};
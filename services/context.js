@@ -0,0 +1,150 @@
+import { getProvider } from './llm/index.js';
+import { SYSTEM_PROMPT } from '../models/Conversation.js';
+
+/**
+ * Conversation Context Service
+ *
+ * Builds the prompt the agent sends for each turn within a token budget.
+ * The most recent turns are sent verbatim; older turns are folded into a
+ * rolling summary stored on the Conversation, so prompt size stays bounded
+ * however long a customer chats.
+ */
+
+// Approximate token budget for the verbatim history sent to the model
+const TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 3000;
+
+// When the history overflows, fold down to this share of the budget so we
+// don't have to summarize again on every following turn
+const FOLD_TARGET = 0.6;
+
+// Hard cap on the stored summary
+const MAX_SUMMARY_CHARS = 1500;
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a conversation between a customer and the Lbinag marble shop assistant. ' +
+  'Update the previous summary with the new messages. Keep what matters for helping the customer later: ' +
+  'their preferences (colors, budget, quantities), products discussed or added to the cart, and open questions. ' +
+  'Write plain sentences, under 150 words, with no preamble.';
+
+/**
+ * Roughly estimate the tokens a message costs (about 4 characters per token plus overhead)
+ * @param {string} text - Message text
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4) + 4;
+}
+
+/**
+ * Take the newest messages that fit in a budget (always at least the last one)
+ * @param {Array} messages - Oldest first
+ * @param {number} budget - Token budget
+ * @returns {Array} - The newest messages that fit, oldest first
+ */
+function takeRecent(messages, budget) {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].content);
+    if (used + cost > budget && start < messages.length) {
+      break;
+    }
+    used += cost;
+    start--;
+  }
+
+  return messages.slice(start);
+}
+
+/**
+ * Summary built without a model: the customer's requests, newest kept when over the cap
+ * @param {string} previous - Previous summary
+ * @param {Array} messages - Messages being folded
+ * @returns {string} - Updated summary
+ */
+function extractiveSummary(previous, messages) {
+  const lines = (previous ? previous.split('\n') : []).concat(
+    messages
+      .filter(m => m.role === 'user')
+      .map(m => `- Customer said: ${m.content.replace(/\s+/g, ' ').substring(0, 120)}`)
+  );
+
+  while (lines.length > 1 && lines.join('\n').length > MAX_SUMMARY_CHARS) {
+    lines.shift();
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Fold messages into the conversation's rolling summary and save it
+ * @param {Object} conversation - Conversation document
+ * @param {Array} messages - Messages to fold, oldest first
+ */
+async function foldIntoSummary(conversation, messages) {
+  const provider = getProvider();
+  let summary = null;
+
+  // Providers that can't write free text (the offline one) get the extractive summary
+  if (provider.canSummarize !== false) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'Customer' : 'Assistant'}: ${m.content}`)
+      .join('\n');
+
+    const result = await provider.generate({
+      system: SUMMARY_INSTRUCTIONS,
+      messages: [{
+        role: 'user',
+        content: `Previous summary:\n${conversation.summary || '(none)'}\n\nNew messages:\n${transcript}`
+      }],
+      tools: [],
+      allowTools: false
+    });
+
+    summary = result?.text?.trim() || null;
+  }
+
+  if (!summary) {
+    summary = extractiveSummary(conversation.summary, messages);
+  }
+
+  conversation.summary = summary.substring(0, MAX_SUMMARY_CHARS);
+  conversation.summarizedUntil = messages[messages.length - 1]._id;
+  await conversation.save();
+
+  console.log(`[Context] Folded ${messages.length} messages into summary for user ${conversation.userId}`);
+}
+
+/**
+ * Build the system prompt and message window for the next model call
+ * Folds overflowing turns into the summary first, which saves the conversation.
+ * @param {Object} conversation - Conversation document (with the new user message already added)
+ * @param {Object} options - { budget: number } token budget for verbatim messages
+ * @returns {Promise<Object>} - { system, messages: [{ role, content }] }
+ */
+export async function buildContext(conversation, { budget = TOKEN_BUDGET } = {}) {
+  let pending = conversation.unsummarizedMessages();
+
+  const total = pending.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  if (total > budget) {
+    const keep = takeRecent(pending, Math.floor(budget * FOLD_TARGET));
+    await foldIntoSummary(conversation, pending.slice(0, pending.length - keep.length));
+    pending = keep;
+  }
+
+  // Older threads stored a copy of the system prompt as their first message; the
+  // current prompt is used instead so they don't keep outdated instructions
+  const system = conversation.summary
+    ? `${SYSTEM_PROMPT}\n\nSummary of the earlier conversation:\n${conversation.summary}`
+    : SYSTEM_PROMPT;
+
+  return {
+    system,
+    messages: pending.map(m => ({ role: m.role, content: m.content }))
+  };
+}
+
+export default {
+  estimateTokens,
+  buildContext
+};
@@ -0,0 +1,116 @@
+/**
+ * CSV Service
+ *
+ * Minimal RFC 4180 CSV reader and writer used by the admin imports and exports.
+ */
+
+/**
+ * Quote a single value if it contains a delimiter, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Neutralise spreadsheet formulas so exported data can't execute in Excel
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = "'" + text;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return '"' + text.replace(/"/g, '""') + '"';
+  }
+  return text;
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<{header: string, value: Function}>} columns - Column definitions
+ * @returns {string} - CSV text with a header row, CRLF line endings
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with "" escapes and line breaks), CRLF or LF line endings and a
+ * UTF-8 byte order mark. Spreadsheets set to a European locale save with semicolons, so
+ * the delimiter is whichever of , and ; the header line uses more of.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, blank lines included so row numbers match the file
+ */
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Undo the formula guard escapeCell() adds, so exported files import unchanged
+ * @param {string} text - Cell text
+ * @returns {string} - Cell text without the leading quote
+ */
+export function unescapeCell(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+export default {
+  toCsv,
+  parseCsv,
+  unescapeCell
+};
@@ -0,0 +1,109 @@
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { UPLOADS_DIR, IMAGE_WIDTHS, derivedImages, deleteUploads } from './uploads.js';
+
+/**
+ * Image Processing
+ *
+ * Normalizes product pictures on upload, locally with sharp: the file type is
+ * checked from its magic bytes, the picture is turned upright from its EXIF
+ * orientation and all metadata (EXIF, GPS) is dropped. It is then saved as a
+ * fallback in its own format, capped at the full width, plus WebP copies at
+ * each width in IMAGE_WIDTHS for srcset.
+ */
+
+// Signatures of the formats we accept, checked against the start of the file
+const SIGNATURES = [
+  { type: 'jpg', test: bytes => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF },
+  { type: 'png', test: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { type: 'gif', test: bytes => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')) },
+  { type: 'webp', test: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const FALLBACK_OPTIONS = {
+  jpg: ['jpeg', { quality: 85, mozjpeg: true }],
+  png: ['png', { compressionLevel: 9 }],
+  gif: ['gif', {}],
+  webp: ['webp', { quality: 85 }]
+};
+
+const WEBP_QUALITY = 80;
+
+/**
+ * Build an error carrying an HTTP status for the route to surface
+ */
+function imageError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Identify an image from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - 'jpg', 'png', 'gif' or 'webp', or null if it isn't one
+ */
+export function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.type : null;
+}
+
+/**
+ * Process one uploaded picture and save it with its WebP copies
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} originalName - File name from the browser, for error messages
+ * @returns {Promise<string>} - File name of the fallback, e.g. img-<id>.jpg
+ */
+export async function processImage(buffer, originalName = 'file') {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw imageError(`${originalName} is not a JPEG, PNG, GIF or WebP image`);
+  }
+
+  const filename = `img-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${type}`;
+  const url = '/uploads/' + filename;
+
+  // rotate() with no angle applies the EXIF orientation; sharp drops metadata unless asked to keep it
+  const pipeline = (width) => sharp(buffer, { animated: type === 'gif' || type === 'webp', failOn: 'error' })
+    .rotate()
+    .resize({ width, withoutEnlargement: true });
+
+  try {
+    const [format, options] = FALLBACK_OPTIONS[type];
+    await pipeline(IMAGE_WIDTHS.full).toFormat(format, options).toFile(path.join(UPLOADS_DIR, filename));
+
+    for (const image of derivedImages(url)) {
+      await pipeline(image.width).webp({ quality: WEBP_QUALITY }).toFile(path.join(UPLOADS_DIR, path.basename(image.url)));
+    }
+  } catch (error) {
+    console.error('[Images] Failed to process', originalName, error.message);
+    await deleteUploads([url]);
+    throw imageError(`${originalName} could not be read as an image`);
+  }
+
+  console.log(`[Images] Processed ${originalName} -> ${filename}`);
+  return filename;
+}
+
+/**
+ * Process every file uploaded with a request (multer memory storage)
+ * Sets file.filename on each so uploadUrl() works as with disk storage. If one file
+ * fails, the ones already processed still have filenames, so the caller can discard them.
+ * @param {Object} req - Request with req.files
+ */
+export async function processUploads(req) {
+  for (const file of req.files || []) {
+    file.filename = await processImage(file.buffer, file.originalname);
+    file.buffer = null; // Let the upload be garbage-collected
+  }
+}
+
+export default {
+  detectImageType,
+  processImage,
+  processUploads
+};
@@ -0,0 +1,221 @@
+import { readSseData } from './sse.js';
+
+/**
+ * Gemini Provider
+ * 
+ * Talks to Google's Gemini REST API (v1beta generateContent and
+ * streamGenerateContent), including function calling.
+ */
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Gemini's schema dialect spells types in upper case (OBJECT, STRING, ...)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const result = { ...schema };
+  
+  if (result.type) {
+    result.type = result.type.toUpperCase();
+  }
+  if (result.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(result.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (result.items) {
+    result.items = toGeminiSchema(result.items);
+  }
+  
+  return result;
+}
+
+/**
+ * Convert provider-neutral messages to Gemini contents
+ * Consecutive tool results are grouped into one turn, as Gemini expects.
+ * @param {Array} messages - Neutral messages
+ * @returns {Array} - Gemini contents array
+ */
+function toGeminiContents(messages) {
+  const contents = [];
+  
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      const part = { functionResponse: { name: m.name, response: m.content } };
+      const last = contents[contents.length - 1];
+      if (last && last.parts.every(p => p.functionResponse)) {
+        last.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+    } else if (m.role === 'assistant') {
+      const parts = [];
+      if (m.content) {
+        parts.push({ text: m.content });
+      }
+      (m.toolCalls || []).forEach(call => {
+        parts.push({ functionCall: { name: call.name, args: call.args } });
+      });
+      contents.push({ role: 'model', parts });
+    } else {
+      contents.push({ role: 'user', parts: [{ text: m.content }] });
+    }
+  }
+  
+  return contents;
+}
+
+/**
+ * Split Gemini response parts into text and tool calls
+ * @param {Array} parts - Response parts
+ * @returns {Object} - { text, toolCalls }
+ */
+function fromGeminiParts(parts) {
+  const text = parts.map(part => part.text || '').join('');
+  const toolCalls = parts
+    .filter(part => part.functionCall)
+    .map((part, index) => ({
+      id: `${part.functionCall.name}_${index}`,
+      name: part.functionCall.name,
+      args: part.functionCall.args || {}
+    }));
+  
+  return { text, toolCalls };
+}
+
+/**
+ * Create a Gemini provider
+ * @param {Object} options - { apiKey, model }
+ * @returns {Object} - Provider with generate() and stream()
+ */
+export function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash' }) {
+  function buildRequestBody({ system, messages, tools = [], allowTools = true }) {
+    const body = {
+      contents: toGeminiContents(messages),
+      generationConfig: {
+        temperature: 0.7,
+        maxOutputTokens: 500
+      }
+    };
+    
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (tools.length > 0) {
+      body.tools = [{
+        functionDeclarations: tools.map(tool => ({ ...tool, parameters: toGeminiSchema(tool.parameters) }))
+      }];
+      body.toolConfig = {
+        functionCallingConfig: { mode: allowTools ? 'AUTO' : 'NONE' }
+      };
+    }
+    
+    return JSON.stringify(body);
+  }
+  
+  /**
+   * Get a complete response
+   * @param {Object} request - { system, messages, tools, allowTools }
+   * @returns {Promise<Object|null>} - { text, toolCalls } or null on failure
+   */
+  async function generate(request) {
+    if (!apiKey) {
+      console.error('[Gemini] No API key configured');
+      return null;
+    }
+    
+    try {
+      console.log('[Gemini] Calling Gemini API...');
+      
+      const response = await fetch(`${API_BASE}/${model}:generateContent?key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: buildRequestBody(request)
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[Gemini] API error:', response.status, errorText);
+        return null;
+      }
+      
+      const data = await response.json();
+      const parts = data.candidates?.[0]?.content?.parts || [];
+      
+      console.log('[Gemini] API response received');
+      return parts.length ? fromGeminiParts(parts) : null;
+      
+    } catch (error) {
+      console.error('[Gemini] API call failed:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Stream a response, forwarding text as it arrives
+   * @param {Object} request - { system, messages, tools, allowTools, onText, signal }
+   * @returns {Promise<Object|null>} - { text, toolCalls } or null on failure
+   * @throws {Error} - AbortError when the signal fires
+   */
+  async function stream({ onText, signal, ...request }) {
+    if (!apiKey) {
+      console.error('[Gemini] No API key configured');
+      return null;
+    }
+    
+    try {
+      console.log('[Gemini] Calling Gemini streaming API...');
+      
+      const response = await fetch(`${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: buildRequestBody(request),
+        signal
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[Gemini] API error:', response.status, errorText);
+        return null;
+      }
+      
+      // Each event carries a partial GenerateContentResponse
+      const parts = [];
+      for await (const data of readSseData(response.body)) {
+        const chunkParts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+        for (const part of chunkParts) {
+          if (part.text) {
+            onText(part.text);
+          }
+          parts.push(part);
+        }
+      }
+      
+      console.log('[Gemini] Stream finished');
+      return parts.length ? fromGeminiParts(parts) : null;
+      
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.error('[Gemini] Streaming call failed:', error.message);
+      return null;
+    }
+  }
+  
+  return {
+    name: `gemini (${model})`,
+    generate,
+    stream
+  };
+}
+
+export default {
+  createGeminiProvider
+};
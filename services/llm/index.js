@@ -0,0 +1,74 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createOfflineProvider } from './offline.js';
+
+/**
+ * LLM Provider Layer
+ * 
+ * The chat agent talks to language models through a small provider interface:
+ * 
+ *   provider.name                      - label for logs
+ *   provider.generate(request)         - Promise<{ text, toolCalls } | null>
+ *   provider.stream({ ...request, onText, signal })
+ *                                      - same result, calling onText(chunk) as text arrives;
+ *                                        throws an AbortError when the signal fires
+ *   provider.canSummarize              - optional; false when the provider can't write
+ *                                        free-form text (conversation summaries)
+ * 
+ * where request is { system, messages, tools, allowTools }:
+ *   messages   - { role: 'user'|'assistant', content, toolCalls? } and
+ *                { role: 'tool', toolCallId, name, content: resultObject }
+ *   tools      - [{ name, description, parameters: JSON Schema }]
+ *   toolCalls  - [{ id, name, args }]
+ * 
+ * A null result means the model could not be reached.
+ * 
+ * Selected with LLM_PROVIDER=gemini|openai|offline. Without it, Gemini is used
+ * when GEMINI_API_KEY is set and the offline provider otherwise.
+ */
+
+let provider = null;
+
+/**
+ * Build a provider from configuration
+ * @param {Object} config - Environment-style settings (defaults to process.env)
+ * @returns {Object} - Provider
+ */
+export function createProvider(config = process.env) {
+  const name = (config.LLM_PROVIDER || (config.GEMINI_API_KEY ? 'gemini' : 'offline')).toLowerCase();
+  
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: config.GEMINI_API_KEY,
+        model: config.LLM_MODEL || config.GEMINI_MODEL || undefined
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        baseUrl: config.OPENAI_BASE_URL || undefined,
+        apiKey: config.OPENAI_API_KEY,
+        model: config.LLM_MODEL || config.OPENAI_MODEL || undefined
+      });
+    case 'offline':
+      return createOfflineProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use gemini, openai or offline.`);
+  }
+}
+
+/**
+ * Get the configured provider (created on first use)
+ * @returns {Object} - Provider
+ */
+export function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`[LLM] Using provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+export default {
+  createProvider,
+  getProvider
+};
@@ -0,0 +1,311 @@
+/**
+ * Offline Provider
+ * 
+ * A deterministic, rule-based stand-in for a language model. It reads the
+ * customer's message, calls the same catalog and cart tools a real model would,
+ * and writes its answer from the tool results. No network needed, so it is the
+ * default when no model is configured and is handy for development and tests.
+ */
+
+import { VARIANT_SIZES } from '../../models/Product.js';
+
+// Words that carry no search meaning in a shopping question
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'me', 'my', 'i', 'you', 'your', 'we', 'do', 'does', 'have', 'has', 'any', 'some',
+  'show', 'find', 'get', 'want', 'need', 'looking', 'for', 'with', 'and', 'or', 'of', 'in', 'to', 'is',
+  'are', 'what', 'which', 'can', 'could', 'please', 'sell', 'buy', 'add', 'cart', 'marble', 'marbles',
+  'under', 'below', 'less', 'than', 'cheaper', 'dh', 'dirham', 'dirhams', 'mad', 'recommend', 'one', 'it',
+  'hi', 'hello', 'hey', 'salam', 'bonjour', 'thanks', 'thank', 'ok', 'okay', 'yes', 'no', 'how', 'help',
+  'similar', 'like', 'suggest', 'something', 'anything', 'else', 'other', 'also', 'bought', 'goes', 'go',
+  'promo', 'promos', 'promotion', 'promotions', 'discount', 'discounts', 'sale', 'sales', 'deal', 'deals',
+  'offers', 'coupon', 'coupons', 'code', 'codes', 'voucher', 'on', 'there', 'current', 'currently'
+]);
+
+/**
+ * Read the category slugs the search tool accepts from the request's tool declarations
+ * @param {Array} tools - Tool declarations
+ * @returns {Array} - Category slugs
+ */
+function categoryOptions(tools = []) {
+  const search = tools.find(tool => tool.name === 'search_products');
+  return search?.parameters?.properties?.color?.enum || [];
+}
+
+/**
+ * Work out what the customer wants from their message
+ * @param {string} text - The user's message
+ * @param {Array} colors - Category slugs to recognize
+ * @returns {Object} - { color, size, maxPrice, query, quantity, wantsAdd, wantsCart, wantsWishlist, wantsViewed,
+ *   wantsSimilar, wantsRecommendations, wantsPromotions, wantsProducts }
+ */
+function parseIntent(text, colors) {
+  const lower = text.toLowerCase();
+  const words = lower.match(/[a-z0-9]+/g) || [];
+  
+  // Slugs like "cats-eye" are matched as the words "cats eye"
+  const phrase = ` ${words.join(' ')} `;
+  const color = colors.find(c => phrase.includes(` ${c.replace(/-/g, ' ')} `)) || null;
+  const colorWords = color ? color.split('-') : [];
+  const size = VARIANT_SIZES.find(s => words.includes(s) || words.includes(s + 's')) || null;
+  const priceMatch = lower.match(/(?:under|below|less than|cheaper than|max(?:imum)?|up to)\s*(\d+(?:\.\d+)?)/);
+  const quantityMatch = lower.match(/\b(?:add|buy|order|purchase)\s+(\d+)\b/) ||
+    lower.match(/\b(\d+)\s*(?:x\b|of\b|marbles?\b|pieces?\b)/);
+  const keywords = words.filter(w => !STOPWORDS.has(w) && !colors.includes(w) && !colorWords.includes(w) &&
+    !VARIANT_SIZES.some(s => w === s || w === s + 's') && isNaN(Number(w)));
+  
+  const wantsAdd = /\b(add|buy|order|purchase)\b/.test(lower);
+  const wantsCart = /\b(cart|basket|checkout)\b/.test(lower);
+  const wantsWishlist = /\b(wish ?list|saved|favou?rites?)\b/.test(lower);
+  const wantsSimilar = /\b(similar|like (this|that|it)|also (bought|buy)|goes? with)\b/.test(lower);
+  const wantsRecommendations = wantsSimilar || /\b(recommend\w*|suggest\w*)\b/.test(lower);
+  const wantsViewed = !wantsWishlist && /\b(looked at|viewed|seen|saw|visited|recently)\b/.test(lower);
+  const wantsPromotions = /\b(promo\w*|discounts?|sales?|deals?|offers|coupons?|codes?|vouchers?)\b/.test(lower);
+  
+  return {
+    color,
+    size,
+    maxPrice: priceMatch ? parseFloat(priceMatch[1]) : null,
+    query: keywords[0] || '',
+    quantity: quantityMatch ? parseInt(quantityMatch[1]) : 1,
+    wantsAdd,
+    wantsCart: wantsCart && !wantsAdd,
+    wantsWishlist: wantsWishlist && !wantsAdd,
+    wantsViewed: wantsViewed && !wantsAdd,
+    wantsSimilar: wantsSimilar && !wantsAdd,
+    wantsRecommendations: wantsRecommendations && !wantsAdd,
+    wantsPromotions: wantsPromotions && !wantsAdd,
+    wantsProducts: !wantsWishlist && !wantsViewed && (wantsAdd || !!color || !!size || /\b(marbles?|recommend|popular|show|have|sell|price|cheap|looking)\b/.test(lower) || keywords.length > 0)
+  };
+}
+
+/**
+ * Choose the variant to add: the size asked for if it's in stock, else the first one in stock
+ * @param {Object} product - Product from a search_products result
+ * @param {string|null} size - Size the customer mentioned
+ * @returns {Object|null} - Variant, or null for products without variants
+ */
+function pickVariant(product, size) {
+  const inStock = (product.variants || []).filter(v => v.stockCount > 0);
+  return inStock.find(v => v.size === size) || inStock[0] || null;
+}
+
+/**
+ * Add a product's reply lines: name, price, stock and rating, then its variants
+ * @param {Array} lines - Reply lines to add to
+ * @param {Object} p - Product from a tool result
+ */
+function listProduct(lines, p) {
+  const stock = p.inStock ? `${p.stockCount} in stock` : 'out of stock';
+  const price = `${p.variants ? 'from ' : ''}${formatPrice(p)}`;
+  const rating = p.rating ? `, ★ ${p.rating.average} (${p.rating.count} review${p.rating.count === 1 ? '' : 's'})` : '';
+  lines.push(`• ${p.name} (${p.color}) - ${price}, ${stock}${rating}`);
+  (p.variants || []).forEach(v => lines.push(`   ${v.label}: ${formatPrice(v)}, ${v.stockCount > 0 ? `${v.stockCount} in stock` : 'out of stock'}`));
+}
+
+/**
+ * Write a product or variant price, with the price before the sale when it's on sale
+ * @param {Object} item - Product or variant from a tool result
+ * @returns {string} - e.g. "12 Dh" or "9 Dh (was 12 Dh)"
+ */
+function formatPrice(item) {
+  return item.salePrice !== undefined ? `${item.salePrice} Dh (was ${item.price} Dh)` : `${item.price} Dh`;
+}
+
+/**
+ * Add a promotion's reply line: what it gives, what it covers and how to get it
+ * @param {Array} lines - Reply lines to add to
+ * @param {Object} p - Promotion from a get_promotions result
+ */
+function listPromotion(lines, p) {
+  const covers = [...p.categories, ...p.products];
+  const details = [
+    covers.length > 0 ? `on ${covers.join(', ')}` : 'on everything',
+    p.packsOnly ? 'packs only' : '',
+    p.minCartTotal ? `for carts from ${p.minCartTotal} Dh` : '',
+    p.code ? `with the code ${p.code}` : 'applied automatically',
+    p.endsAt ? `until ${new Date(p.endsAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long' })}` : ''
+  ].filter(Boolean);
+  lines.push(`• ${p.name}: ${p.offer} ${details.join(', ')}${p.description ? ` - ${p.description}` : ''}`);
+}
+
+/**
+ * Write a reply from this turn's tool results
+ * @param {Object} results - Latest tool results keyed by tool name
+ * @returns {string} - Reply text
+ */
+function composeReply(results) {
+  const lines = [];
+  
+  if (results.add_to_cart) {
+    const added = results.add_to_cart;
+    lines.push(added.success
+      ? `I've added ${added.added} × ${added.product} to your cart (${added.quantityInCart} in total).`
+      : `I couldn't add that to your cart: ${added.error}`);
+  }
+  
+  if (results.view_cart) {
+    const cart = results.view_cart;
+    lines.push(cart.itemCount > 0
+      ? `You have ${cart.itemCount} item(s) in your cart, totalling ${cart.total} Dh.`
+      : 'Your cart is empty at the moment.');
+    (cart.discounts || []).forEach(d => lines.push(`• ${d.name}: -${d.amount} Dh`));
+  }
+  
+  if (results.get_promotions) {
+    const promotions = results.get_promotions.promotions || [];
+    if (promotions.length === 0) {
+      lines.push('There are no promotions running right now, but keep an eye out!');
+    } else {
+      lines.push('These promotions are running right now:');
+      promotions.forEach(p => listPromotion(lines, p));
+    }
+  }
+  
+  if (results.get_wishlist) {
+    const products = results.get_wishlist.products || [];
+    if (products.length === 0) {
+      lines.push('Your wishlist is empty. Tap the heart on any marble to save it.');
+    } else {
+      lines.push('These are the marbles on your wishlist:');
+      products.forEach(p => listProduct(lines, p));
+    }
+  }
+  
+  if (results.get_recently_viewed) {
+    const products = results.get_recently_viewed.products || [];
+    if (products.length === 0) {
+      lines.push("I couldn't find any matching marbles among the ones you looked at recently.");
+    } else {
+      lines.push(products.length === 1 ? 'This is the one you looked at:' : 'These are the marbles you looked at recently:');
+      products.forEach(p => listProduct(lines, p));
+    }
+  }
+  
+  if (results.get_recommendations) {
+    const { basedOn, alsoBought = [], similar = [] } = results.get_recommendations;
+    if (alsoBought.length > 0) {
+      lines.push(`Customers who bought ${basedOn} also bought:`);
+      alsoBought.forEach(p => listProduct(lines, p));
+    }
+    if (similar.length > 0) {
+      lines.push(basedOn ? `If you like ${basedOn}, you might also like:` : 'You might like these:');
+      similar.forEach(p => listProduct(lines, p));
+    }
+    if (alsoBought.length === 0 && similar.length === 0) {
+      lines.push("I don't have any suggestions right now. Have a look around the catalog!");
+    }
+  }
+  
+  if (results.search_products && !results.add_to_cart && !results.get_recommendations) {
+    const products = results.search_products.products || [];
+    if (products.length === 0) {
+      lines.push("I couldn't find any marbles matching that. Try another category, or browse the full catalog.");
+    } else {
+      lines.push('Here is what I found in our catalog:');
+      products.forEach(p => listProduct(lines, p));
+    }
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Create the offline provider
+ * @returns {Object} - Provider with generate() and stream()
+ */
+export function createOfflineProvider() {
+  /**
+   * Decide the next step of the turn: call a tool, or answer
+   * @param {Object} request - { messages, tools, allowTools }
+   * @returns {Promise<Object>} - { text, toolCalls }
+   */
+  async function generate({ messages, tools, allowTools = true }) {
+    const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+    if (lastUserIndex === -1) {
+      return { text: 'Hello! How can I help you find the perfect marbles today?', toolCalls: [] };
+    }
+    
+    const intent = parseIntent(messages[lastUserIndex].content, categoryOptions(tools));
+    
+    // Tool results already gathered for this message
+    const results = {};
+    messages.slice(lastUserIndex + 1)
+      .filter(m => m.role === 'tool')
+      .forEach(m => { results[m.name] = m.content; });
+    
+    const call = (name, args) => ({ text: '', toolCalls: [{ id: `offline_${name}`, name, args }] });
+    
+    if (allowTools) {
+      if (intent.wantsCart && !results.view_cart) {
+        return call('view_cart', {});
+      }
+      if (intent.wantsWishlist && !results.get_wishlist) {
+        return call('get_wishlist', {});
+      }
+      if (intent.wantsViewed && !results.get_recently_viewed) {
+        return call('get_recently_viewed', intent.color ? { color: intent.color } : {});
+      }
+      if (intent.wantsPromotions && !results.get_promotions) {
+        return call('get_promotions', {});
+      }
+      // "Something like the Ocean Swirl" finds that product first; a bare "recommend something"
+      // is personal, while "recommend a red one" is answered by the search below
+      const hasFilters = Boolean(intent.query || intent.color || intent.size || intent.maxPrice !== null);
+      if (intent.wantsRecommendations && !results.get_recommendations &&
+        (hasFilters ? intent.wantsSimilar && results.search_products : true)) {
+        const base = results.search_products?.products?.[0];
+        return call('get_recommendations', base ? { id: base.id } : {});
+      }
+      if (intent.wantsProducts && !intent.wantsCart && !results.search_products) {
+        const args = { query: intent.query };
+        if (intent.color) args.color = intent.color;
+        if (intent.size) args.size = intent.size;
+        if (intent.maxPrice !== null) args.maxPrice = intent.maxPrice;
+        return call('search_products', args);
+      }
+      const found = results.search_products?.products || [];
+      if (intent.wantsAdd && found.length > 0 && !results.add_to_cart) {
+        const variant = pickVariant(found[0], intent.size);
+        return call('add_to_cart', variant
+          ? { id: found[0].id, variantId: variant.id, qty: intent.quantity }
+          : { id: found[0].id, qty: intent.quantity });
+      }
+    }
+    
+    const text = composeReply(results) ||
+      "I'm the Lbinag shop assistant. Ask me about our marbles by category or price, or ask me to add one to your cart.";
+    return { text, toolCalls: [] };
+  }
+  
+  /**
+   * Same as generate(), with the reply emitted word by word
+   * @param {Object} request - { messages, allowTools, onText, signal }
+   * @returns {Promise<Object>} - { text, toolCalls }
+   */
+  async function stream({ onText, signal, ...request }) {
+    const result = await generate(request);
+    
+    for (const piece of result.text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onText(piece);
+    }
+    
+    return result;
+  }
+  
+  return {
+    name: 'offline',
+    // Replies are templated, so conversation summaries fall back to extractive ones
+    canSummarize: false,
+    generate,
+    stream
+  };
+}
+
+export default {
+  createOfflineProvider
+};
@@ -0,0 +1,195 @@
+import { readSseData } from './sse.js';
+
+/**
+ * OpenAI-Compatible Provider
+ * 
+ * Talks to any server implementing the OpenAI Chat Completions API with tools:
+ * OpenAI itself, or local servers such as Ollama (http://localhost:11434/v1)
+ * and llama.cpp (http://localhost:8080/v1).
+ */
+
+/**
+ * Convert provider-neutral messages to Chat Completions messages
+ * @param {string} system - System prompt
+ * @param {Array} messages - Neutral messages
+ * @returns {Array} - Chat Completions messages
+ */
+function toChatMessages(system, messages) {
+  const result = system ? [{ role: 'system', content: system }] : [];
+  
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      result.push({ role: 'tool', tool_call_id: m.toolCallId, content: JSON.stringify(m.content) });
+    } else if (m.role === 'assistant' && m.toolCalls?.length) {
+      result.push({
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        }))
+      });
+    } else {
+      result.push({ role: m.role, content: m.content });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Parse tool call arguments, which arrive as a JSON string
+ * @param {string} text - Arguments JSON
+ * @returns {Object} - Parsed arguments, or {} if the model produced invalid JSON
+ */
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    console.error('[OpenAI] Invalid tool arguments:', text);
+    return {};
+  }
+}
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options - { baseUrl, apiKey, model }
+ * @returns {Object} - Provider with generate() and stream()
+ */
+export function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  
+  function buildRequest({ system, messages, tools = [], allowTools = true }, streaming, signal) {
+    const body = {
+      model,
+      messages: toChatMessages(system, messages),
+      temperature: 0.7,
+      max_tokens: 500,
+      stream: streaming
+    };
+    
+    if (tools.length > 0) {
+      body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+      body.tool_choice = allowTools ? 'auto' : 'none';
+    }
+    
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually don't need a key
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    
+    return { method: 'POST', headers, body: JSON.stringify(body), signal };
+  }
+  
+  /**
+   * Get a complete response
+   * @param {Object} request - { system, messages, tools, allowTools }
+   * @returns {Promise<Object|null>} - { text, toolCalls } or null on failure
+   */
+  async function generate(request) {
+    try {
+      console.log(`[OpenAI] Calling ${endpoint}...`);
+      
+      const response = await fetch(endpoint, buildRequest(request, false));
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[OpenAI] API error:', response.status, errorText);
+        return null;
+      }
+      
+      const data = await response.json();
+      const message = data.choices?.[0]?.message;
+      if (!message) {
+        return null;
+      }
+      
+      console.log('[OpenAI] API response received');
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          args: parseArguments(call.function.arguments)
+        }))
+      };
+      
+    } catch (error) {
+      console.error('[OpenAI] API call failed:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Stream a response, forwarding text as it arrives
+   * @param {Object} request - { system, messages, tools, allowTools, onText, signal }
+   * @returns {Promise<Object|null>} - { text, toolCalls } or null on failure
+   * @throws {Error} - AbortError when the signal fires
+   */
+  async function stream({ onText, signal, ...request }) {
+    try {
+      console.log(`[OpenAI] Streaming from ${endpoint}...`);
+      
+      const response = await fetch(endpoint, buildRequest(request, true, signal));
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('[OpenAI] API error:', response.status, errorText);
+        return null;
+      }
+      
+      let text = '';
+      // Tool calls arrive in fragments keyed by index
+      const calls = [];
+      
+      for await (const data of readSseData(response.body)) {
+        if (data === '[DONE]') {
+          break;
+        }
+        
+        const delta = JSON.parse(data).choices?.[0]?.delta || {};
+        
+        if (delta.content) {
+          text += delta.content;
+          onText(delta.content);
+        }
+        
+        for (const fragment of delta.tool_calls || []) {
+          const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', arguments: '' });
+          call.id = fragment.id || call.id;
+          call.name += fragment.function?.name || '';
+          call.arguments += fragment.function?.arguments || '';
+        }
+      }
+      
+      console.log('[OpenAI] Stream finished');
+      return {
+        text,
+        toolCalls: calls.filter(Boolean).map((call, index) => ({
+          id: call.id || `${call.name}_${index}`,
+          name: call.name,
+          args: parseArguments(call.arguments)
+        }))
+      };
+      
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.error('[OpenAI] Streaming call failed:', error.message);
+      return null;
+    }
+  }
+  
+  return {
+    name: `openai-compatible (${model} at ${baseUrl})`,
+    generate,
+    stream
+  };
+}
+
+export default {
+  createOpenAIProvider
+};
@@ -0,0 +1,40 @@
+/**
+ * Server-Sent Events reader shared by the streaming providers
+ */
+
+/**
+ * Read an SSE response body and yield the data payload of each event
+ * @param {ReadableStream} body - fetch() response body
+ * @returns {AsyncGenerator<string>} - Raw data strings (multi-line data joined)
+ */
+export async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const dataOf = (event) => event.split('\n')
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).trim())
+    .join('');
+  
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+    
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const data = dataOf(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (data) {
+        yield data;
+      }
+    }
+  }
+  
+  const rest = dataOf(buffer);
+  if (rest) {
+    yield rest;
+  }
+}
+
+export default {
+  readSseData
+};
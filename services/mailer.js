@@ -1,9 +1,10 @@
 import nodemailer from 'nodemailer';
+import { escapeHtml } from './search.js';
 
 /**
- * Email Service for Magic Link Authentication
+ * Email Service
  * 
- * Uses nodemailer to send magic link emails via Gmail SMTP.
+ * Uses nodemailer to send magic link emails and product alerts via Gmail SMTP.
  * Requires SMTP credentials to be configured in environment variables.
  */
 
@@ -140,6 +141,103 @@ Happy marble shopping!
   }
 }
 
+/**
+ * Send a back-in-stock or price-drop alert for a product the recipient subscribed to
+ * @param {string} email - The recipient's email address
+ * @param {Object} alert - { productName, productUrl, unsubscribeUrl, price, previousPrice, restocked, priceDropped }
+ * @returns {Promise<Object>} - { success, messageId }
+ */
+export async function sendProductAlert(email, alert) {
+  const { productName, productUrl, unsubscribeUrl, price, previousPrice, restocked, priceDropped } = alert;
+  
+  const headline = restocked ? `${productName} is back in stock` : `${productName} is now ${price} Dh`;
+  const details = [
+    restocked ? `Good news: ${productName} is back in stock.` : '',
+    priceDropped ? `The price dropped from ${previousPrice} Dh to ${price} Dh.` : `It costs ${price} Dh.`
+  ].filter(Boolean).join(' ');
+  
+  console.log(`[Mailer] Sending product alert to ${email}`);
+  
+  try {
+    const transport = await getTransporter();
+    
+    const mailOptions = {
+      from: `"Lbinag Marbles" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `🔮 ${headline}`,
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      text: `
+${details}
+
+See it here:
+
+${productUrl}
+
+You're receiving this because you asked to be notified about this product.
+Stop these emails: ${unsubscribeUrl}
+
+Happy marble shopping!
+- The Lbinag Team
+      `.trim(),
+      html: `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f4f4f4; margin: 0; padding: 20px; }
+    .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    .header { background: linear-gradient(135deg, #1a365d 0%, #2d3748 100%); color: white; padding: 30px; text-align: center; }
+    .header h1 { margin: 0; font-size: 28px; }
+    .content { padding: 40px 30px; text-align: center; }
+    .button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 25px; font-weight: bold; margin: 20px 0; }
+    .footer { background: #f7fafc; padding: 20px; text-align: center; color: #718096; font-size: 14px; }
+    .footer a { color: #718096; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔮 Lbinag</h1>
+      <p>Lbinag Marbles</p>
+    </div>
+    <div class="content">
+      <h2>${escapeHtml(headline)}</h2>
+      <p>${escapeHtml(details)}</p>
+      <a href="${productUrl}" class="button">View the product</a>
+    </div>
+    <div class="footer">
+      <p>You're receiving this because you asked to be notified about this product.</p>
+      <p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+    </div>
+  </div>
+</body>
+</html>
+      `.trim()
+    };
+    
+    const info = await transport.sendMail(mailOptions);
+    
+    console.log(`[Mailer] Product alert sent! Message ID: ${info.messageId}`);
+    
+    return {
+      success: true,
+      messageId: info.messageId
+    };
+    
+  } catch (error) {
+    console.error('[Mailer] Failed to send product alert:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 export default {
-  sendMagicLink
+  sendMagicLink,
+  sendProductAlert
 };
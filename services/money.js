@@ -0,0 +1,61 @@
+/**
+ * Money
+ *
+ * Prices are stored in Dirham (Dh) with up to two decimals, as admins enter
+ * them. Sums, discounts, shipping and TVA are worked out in integer centimes
+ * and only turned back into Dh at the end, so totals never pick up
+ * floating-point errors (0.1 + 0.2 is 0.30000000000000004 in Dh, 30 in centimes).
+ */
+
+/**
+ * Convert an amount in Dh to whole centimes
+ * Goes through 12 significant digits so 1.005 becomes 101, not 100.
+ * @param {number|string} dh - Amount in Dh
+ * @returns {number} - Centimes
+ */
+export function toCentimes(dh) {
+  const amount = Number(dh);
+  if (!Number.isFinite(amount)) {
+    return 0;
+  }
+  return Math.round(Number((amount * 100).toPrecision(12)));
+}
+
+/**
+ * Convert centimes back to Dh
+ * @param {number} centimes - Whole centimes
+ * @returns {number} - Amount in Dh
+ */
+export function toDh(centimes) {
+  return Math.round(centimes) / 100;
+}
+
+/**
+ * Write an amount in Dh with two decimals, e.g. 12.5 -> "12.50"
+ * Built from centimes rather than toFixed(), which rounds 1.005 down to "1.00".
+ * @param {number|string} dh - Amount in Dh
+ * @returns {string} - Formatted amount
+ */
+export function formatDh(dh) {
+  const centimes = toCentimes(dh);
+  const sign = centimes < 0 ? '-' : '';
+  const abs = Math.abs(centimes);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Take a percentage of an amount, rounded to the nearest centime
+ * @param {number} centimes - Amount in centimes
+ * @param {number} percent - Percentage, e.g. 20
+ * @returns {number} - Centimes
+ */
+export function percentOf(centimes, percent) {
+  return Math.round(centimes * percent / 100);
+}
+
+export default {
+  toCentimes,
+  toDh,
+  formatDh,
+  percentOf
+};
@@ -0,0 +1,97 @@
+import StockSubscription, { MAX_ALERTS_PER_EMAIL_PER_DAY } from '../models/StockSubscription.js';
+import { sendProductAlert } from './mailer.js';
+
+/**
+ * Product Alerts
+ *
+ * Emails "notify me" subscribers when a product comes back in stock or gets cheaper.
+ * Each subscription gets at most one alert per cooldown (claimed atomically, so two
+ * saves in a row send one email), and each address at most a few alerts a day.
+ */
+
+/**
+ * Absolute URL on the shop
+ * @param {string} pathname - Path starting with /
+ * @returns {string} - URL
+ */
+function shopUrl(pathname) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  return `${baseUrl}${pathname}`;
+}
+
+/**
+ * Unsubscribe link for a subscription
+ * @param {Object} subscription - Subscription with its token
+ * @returns {string} - URL
+ */
+export function unsubscribeUrl(subscription) {
+  return shopUrl(`/notifications/unsubscribe?token=${subscription.token}`);
+}
+
+/**
+ * Email the subscribers of a product that was restocked or had its price lowered.
+ * Call after saving the product, with its stock and price from before the change.
+ * @param {Object} product - Saved product
+ * @param {Object} previous - { stockCount, price } before the change
+ * @returns {Promise<number>} - Number of alerts sent
+ */
+export async function notifySubscribers(product, previous) {
+  // Alerts are only worth sending while the product can be bought
+  if (product.stockCount <= 0) {
+    return 0;
+  }
+
+  const restocked = previous.stockCount <= 0;
+  const priceDropped = product.price < previous.price;
+  if (!restocked && !priceDropped) {
+    return 0;
+  }
+
+  // On a restock everyone hears about it; otherwise only those who haven't seen this price yet
+  const subscriptions = await StockSubscription.find(
+    restocked ? { product: product._id } : { product: product._id, priceSeen: { $gt: product.price } }
+  ).lean();
+
+  let sent = 0;
+
+  // One at a time, so a big list doesn't flood the SMTP server
+  for (const subscription of subscriptions) {
+    if (await StockSubscription.alertsSentToday(subscription.email) >= MAX_ALERTS_PER_EMAIL_PER_DAY) {
+      console.log(`[Notifications] Daily limit reached for ${subscription.email}, skipping`);
+      continue;
+    }
+
+    const claimed = await StockSubscription.claimAlert(subscription._id, product.price);
+    if (!claimed) {
+      continue;
+    }
+
+    const result = await sendProductAlert(subscription.email, {
+      productName: product.name,
+      productUrl: shopUrl(`/catalog/${product._id}`),
+      unsubscribeUrl: unsubscribeUrl(subscription),
+      price: product.price,
+      previousPrice: claimed.priceSeen,
+      restocked,
+      priceDropped: product.price < claimed.priceSeen
+    });
+
+    if (result.success) {
+      sent++;
+    } else {
+      // Give the alert back so the next change can retry it
+      await StockSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { alertedAt: claimed.alertedAt, priceSeen: claimed.priceSeen } }
+      );
+    }
+  }
+
+  console.log(`[Notifications] ${sent} alert(s) sent for ${product.name}`);
+  return sent;
+}
+
+export default {
+  notifySubscribers,
+  unsubscribeUrl
+};
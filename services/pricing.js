@@ -0,0 +1,266 @@
+import { toCentimes, toDh, percentOf } from './money.js';
+
+/**
+ * Pricing Engine
+ *
+ * Works out what customers pay from list prices and the live promotions
+ * (see models/Promotion.js). No database access here: callers pass the
+ * promotions in. Three things can lower a price:
+ *   - Sales: automatic percentage or fixed-amount promotions without a code.
+ *     They lower unit prices and show as strike-through prices in the shop.
+ *   - Buy X get Y: for every X units bought, the Y cheapest of them are free.
+ *     Automatic, or behind a code.
+ *   - Codes: a percentage or fixed amount off the eligible part of the cart.
+ * Each unit gets the best sale price that applies; after that, every automatic
+ * buy-X-get-Y offer and at most one code are applied to the cart.
+ * Amounts come in and go out in Dh but are worked out in centimes (see ./money.js).
+ */
+
+/**
+ * Whether a promotion can be used right now: switched on, inside its validity
+ * window, and with uses left
+ * @param {Object} promotion - Promotion
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isLive(promotion, now = new Date()) {
+  return Boolean(promotion.active) &&
+    (!promotion.startsAt || promotion.startsAt <= now) &&
+    (!promotion.endsAt || now < promotion.endsAt) &&
+    (promotion.maxUses == null || promotion.usedCount < promotion.maxUses);
+}
+
+/**
+ * Whether a promotion is a sale: automatic, and lowering unit prices
+ */
+export function isSale(promotion) {
+  return !promotion.code && ['percentage', 'fixed'].includes(promotion.kind);
+}
+
+/**
+ * Whether a promotion covers a product: everything when it lists no products
+ * or categories, otherwise the products it lists and those in its categories
+ * @param {Object} promotion - Promotion
+ * @param {Object} product - Product (needs _id and color)
+ * @returns {boolean}
+ */
+export function appliesTo(promotion, product) {
+  const products = promotion.products || [];
+  const categories = promotion.categories || [];
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+  const id = product._id.toString();
+  return products.some(p => p.toString() === id) || categories.includes(product.color);
+}
+
+/**
+ * Describe what a promotion gives, e.g. "20% off" or "Buy 2, get 1 free"
+ * @param {Object} promotion - Promotion
+ * @returns {string}
+ */
+export function describeOffer(promotion) {
+  if (promotion.kind === 'percentage') {
+    return `${promotion.value}% off`;
+  }
+  if (promotion.kind === 'fixed') {
+    return `${promotion.value} Dh off`;
+  }
+  return `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} free`;
+}
+
+/**
+ * Apply a percentage or fixed-amount reduction to an amount in Dh
+ */
+function reduce(amount, promotion) {
+  const centimes = toCentimes(amount);
+  if (promotion.kind === 'percentage') {
+    return toDh(centimes - percentOf(centimes, promotion.value));
+  }
+  return toDh(Math.max(0, centimes - toCentimes(promotion.value)));
+}
+
+/**
+ * The best sale price for one unit of a product
+ * @param {number} unitPrice - List price of the product or variant
+ * @param {Object} product - Product (needs _id and color)
+ * @param {Array} promotions - Live promotions
+ * @returns {Object} - { price, originalPrice (null when not on sale), promotion }
+ */
+export function salePrice(unitPrice, product, promotions) {
+  let best = { price: unitPrice, originalPrice: null, promotion: null };
+
+  promotions
+    .filter(promotion => isSale(promotion) && appliesTo(promotion, product))
+    .forEach(promotion => {
+      const price = reduce(unitPrice, promotion);
+      if (price < best.price) {
+        best = { price, originalPrice: unitPrice, promotion };
+      }
+    });
+
+  return best;
+}
+
+/**
+ * Add sale prices to products for display: salePrice on the product (its
+ * cheapest price, like `price`) and on each variant, when lower than the list price
+ * @param {Array} products - Plain products
+ * @param {Array} promotions - Live promotions
+ * @returns {Array} - The same products, with salePrice where on sale
+ */
+export function withSalePrices(products, promotions) {
+  if (!promotions.some(isSale)) {
+    return products;
+  }
+
+  return products.map(product => {
+    const variants = (product.variants || []).map(variant => {
+      const sale = salePrice(variant.price, product, promotions);
+      return sale.originalPrice === null ? variant : { ...variant, salePrice: sale.price };
+    });
+
+    const prices = variants.length > 0
+      ? variants.map(v => v.salePrice ?? v.price)
+      : [salePrice(product.price, product, promotions).price];
+    const lowest = Math.min(...prices);
+
+    return {
+      ...product,
+      variants,
+      ...(lowest < product.price ? { salePrice: lowest } : {})
+    };
+  });
+}
+
+/**
+ * The discount a buy-X-get-Y offer gives on a set of units: they're sorted by
+ * price, highest first, and the last Y of every X + Y are free
+ * @param {Array} unitPrices - Price of every eligible unit, in centimes
+ * @param {Object} promotion - Promotion with buyQuantity and getQuantity
+ * @returns {number} - Discount in centimes
+ */
+function bundleDiscount(unitPrices, promotion) {
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const sorted = [...unitPrices].sort((a, b) => b - a);
+  let discount = 0;
+
+  for (let start = 0; start + groupSize <= sorted.length; start += groupSize) {
+    for (let i = start + promotion.buyQuantity; i < start + groupSize; i++) {
+      discount += sorted[i];
+    }
+  }
+  return discount;
+}
+
+/**
+ * Explain why a promotion doesn't apply to a cart, or return null if it does
+ */
+function unmetCondition(promotion, eligible, subtotal) {
+  if (eligible.length === 0) {
+    return 'none of the items in your cart are part of this offer';
+  }
+  if (promotion.minSubtotal > 0 && subtotal < toCentimes(promotion.minSubtotal)) {
+    return `it needs a cart of at least ${promotion.minSubtotal} Dh`;
+  }
+  return null;
+}
+
+/**
+ * Work out an order-level discount (code or buy-X-get-Y) on a priced cart
+ * @param {Object} promotion - Promotion
+ * @param {Array} items - Cart lines with sale prices
+ * @param {number} subtotal - Cart subtotal in centimes
+ * @returns {Object} - { amount (centimes), reason }: reason says why it gave nothing
+ */
+function offerDiscount(promotion, items, subtotal) {
+  const eligible = items.filter(item => appliesTo(promotion, item.product) &&
+    (!promotion.packsOnly || (item.variant && item.variant.packSize > 1)));
+
+  const reason = unmetCondition(promotion, eligible, subtotal);
+  if (reason) {
+    return { amount: 0, reason };
+  }
+
+  const eligibleTotal = eligible.reduce((sum, item) => sum + toCentimes(item.lineTotal), 0);
+
+  if (promotion.kind === 'buy-x-get-y') {
+    const units = eligible.flatMap(item => Array(item.quantity).fill(toCentimes(item.unitPrice)));
+    const amount = bundleDiscount(units, promotion);
+    return amount > 0
+      ? { amount, reason: null }
+      : { amount: 0, reason: `buy ${promotion.buyQuantity + promotion.getQuantity} eligible items to get ${promotion.getQuantity} free` };
+  }
+
+  const amount = promotion.kind === 'percentage'
+    ? percentOf(eligibleTotal, promotion.value)
+    : Math.min(toCentimes(promotion.value), eligibleTotal);
+  return { amount, reason: null };
+}
+
+/**
+ * Price a cart from Cart.getDetails(): sale prices on every line, then the
+ * automatic offers and the code
+ * @param {Object} cart - { items, itemCount, subtotal, weight, hasStockIssues }
+ * @param {Array} promotions - Live promotions
+ * @param {Object} options - { code: promotion for the entered code, or null }
+ * @returns {Object} - The cart with sale prices on its lines, plus
+ *   listSubtotal, saleSavings, discounts [{ promotion, name, code, amount }],
+ *   discountTotal, total, and codeError when the code gives nothing
+ */
+export function priceCart(cart, promotions, { code = null } = {}) {
+  const items = cart.items.map(item => {
+    const sale = salePrice(item.unitPrice, item.product, promotions);
+    return {
+      ...item,
+      unitPrice: sale.price,
+      listPrice: item.unitPrice,
+      onSale: sale.originalPrice !== null,
+      lineTotal: toDh(toCentimes(sale.price) * item.quantity)
+    };
+  });
+
+  const listSubtotal = cart.items.reduce((sum, item) => sum + toCentimes(item.lineTotal), 0);
+  const subtotal = items.reduce((sum, item) => sum + toCentimes(item.lineTotal), 0);
+
+  const discounts = [];
+  let codeError = null;
+
+  const offers = promotions.filter(p => !p.code && p.kind === 'buy-x-get-y');
+  if (code) {
+    offers.push(code);
+  }
+
+  for (const promotion of offers) {
+    const { amount, reason } = offerDiscount(promotion, items, subtotal);
+    if (amount > 0) {
+      discounts.push({ promotion: promotion._id, name: promotion.name, code: promotion.code || '', amount: toDh(amount) });
+    } else if (promotion === code) {
+      codeError = `The code ${code.code} can't be used: ${reason}`;
+    }
+  }
+
+  const discountTotal = Math.min(discounts.reduce((sum, d) => sum + toCentimes(d.amount), 0), subtotal);
+
+  return {
+    ...cart,
+    items,
+    listSubtotal: toDh(listSubtotal),
+    saleSavings: toDh(listSubtotal - subtotal),
+    subtotal: toDh(subtotal),
+    discounts,
+    discountTotal: toDh(discountTotal),
+    total: toDh(subtotal - discountTotal),
+    codeError
+  };
+}
+
+export default {
+  isLive,
+  isSale,
+  appliesTo,
+  describeOffer,
+  salePrice,
+  withSalePrices,
+  priceCart
+};
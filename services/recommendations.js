@@ -0,0 +1,360 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+import Wishlist from '../models/Wishlist.js';
+import ProductRecommendation from '../models/ProductRecommendation.js';
+
+/**
+ * Product Recommendations
+ *
+ * A background job scores every pair of products on five signals and stores each
+ * product's best matches in ProductRecommendation:
+ *   - category: same category (the product's color)
+ *   - price:    close in price
+ *   - tags:     tags in common
+ *   - viewed:   on the same visitors' recently viewed lists
+ *   - bought:   in the same orders
+ * It also sets Product.popularity from views, sales and reviews. Readers here use
+ * the stored scores and fill any gaps with popular products, so pages have
+ * suggestions before the job has run and for products nothing is known about.
+ */
+
+// How much each signal counts. Co-views and co-purchases are counted per visitor
+// or order and dampened with log1p, so one busy pair can't drown out the rest.
+const WEIGHTS = {
+  category: 1,
+  price: 0.6,
+  tags: 0.4,
+  viewed: 1.5,
+  bought: 3
+};
+
+// How many matches are stored per product
+const STORED_RELATED = 12;
+const STORED_ALSO_BOUGHT = 8;
+
+// Orders older than this no longer count towards "bought together" and popularity
+const ORDER_LOOKBACK_DAYS = 180;
+
+// How often the job runs, and how long after start-up it first runs
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const FIRST_RUN_DELAY_MS = 30 * 1000;
+
+// Statuses whose orders say nothing about what goes together
+const IGNORED_ORDER_STATUSES = ['cancelled'];
+
+/**
+ * Key for an unordered pair of product ids
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Count every pair of ids that appear together in a list, once per list
+ * @param {Map} counts - Pair key -> count, updated in place
+ * @param {Array} ids - Product id strings
+ */
+function countPairs(counts, ids) {
+  const unique = [...new Set(ids)];
+  for (let i = 0; i < unique.length; i++) {
+    for (let j = i + 1; j < unique.length; j++) {
+      const key = pairKey(unique[i], unique[j]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+}
+
+/**
+ * How close two prices are, from 1 (equal) to 0 (one is double the other or more)
+ */
+function priceSimilarity(a, b) {
+  const high = Math.max(a, b);
+  if (high <= 0) {
+    return 1;
+  }
+  return Math.max(0, 1 - (Math.abs(a - b) / high) * 2);
+}
+
+/**
+ * Share of tags two products have in common (Jaccard index)
+ */
+function tagOverlap(a = [], b = []) {
+  if (a.length === 0 || b.length === 0) {
+    return 0;
+  }
+  const shared = a.filter(tag => b.includes(tag)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Score how well one product recommends another
+ * @returns {Object} - { score, reasons }
+ */
+function scorePair(a, b, viewedTogether, boughtTogether) {
+  const parts = {
+    category: a.color === b.color ? WEIGHTS.category : 0,
+    price: priceSimilarity(a.price, b.price) * WEIGHTS.price,
+    tags: tagOverlap(a.tags, b.tags) * WEIGHTS.tags,
+    viewed: Math.log1p(viewedTogether) * WEIGHTS.viewed,
+    bought: Math.log1p(boughtTogether) * WEIGHTS.bought
+  };
+
+  const score = Object.values(parts).reduce((sum, value) => sum + value, 0);
+
+  // Name the signals behind at least a fifth of the score
+  const reasons = Object.entries(parts)
+    .filter(([, value]) => value > 0 && value >= score * 0.2)
+    .sort((x, y) => y[1] - x[1])
+    .map(([reason]) => reason);
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+/**
+ * Recompute every product's recommendations and popularity.
+ * Pairs are scored in memory, which is fine for a catalog of a few thousand products.
+ * @returns {Promise<Object>} - { products, pairs }
+ */
+export async function computeRecommendations() {
+  const started = Date.now();
+
+  const products = await Product.find({}, { color: 1, price: 1, tags: 1, ratingAverage: 1, ratingCount: 1 }).lean();
+  const ids = products.map(p => p._id.toString());
+
+  // Visitors' recently viewed lists: which products are looked at together, and how often each is
+  const viewedTogether = new Map();
+  const views = new Map();
+  for await (const list of RecentlyViewed.find({}, { 'items.product': 1 }).lean().cursor()) {
+    const listIds = list.items.map(item => item.product.toString());
+    countPairs(viewedTogether, listIds);
+    listIds.forEach(id => views.set(id, (views.get(id) || 0) + 1));
+  }
+
+  // Recent orders: which products are bought together, and how many units of each
+  const boughtTogether = new Map();
+  const unitsSold = new Map();
+  const since = new Date(Date.now() - ORDER_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const orders = Order.find(
+    { createdAt: { $gte: since }, status: { $nin: IGNORED_ORDER_STATUSES } },
+    { 'items.product': 1, 'items.quantity': 1 }
+  ).lean().cursor();
+  for await (const order of orders) {
+    const orderIds = order.items.map(item => item.product.toString());
+    countPairs(boughtTogether, orderIds);
+    order.items.forEach(item => {
+      const id = item.product.toString();
+      unitsSold.set(id, (unitsSold.get(id) || 0) + item.quantity);
+    });
+  }
+
+  const writes = products.map(product => {
+    const id = product._id.toString();
+
+    const related = products
+      .filter(other => other._id.toString() !== id)
+      .map(other => {
+        const key = pairKey(id, other._id.toString());
+        return { product: other._id, ...scorePair(product, other, viewedTogether.get(key) || 0, boughtTogether.get(key) || 0) };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, STORED_RELATED);
+
+    const alsoBought = ids
+      .filter(otherId => otherId !== id && boughtTogether.has(pairKey(id, otherId)))
+      .map(otherId => ({ product: new mongoose.Types.ObjectId(otherId), orders: boughtTogether.get(pairKey(id, otherId)) }))
+      .sort((a, b) => b.orders - a.orders)
+      .slice(0, STORED_ALSO_BOUGHT);
+
+    return {
+      updateOne: {
+        filter: { product: product._id },
+        update: { $set: { related, alsoBought, computedAt: new Date() } },
+        upsert: true
+      }
+    };
+  });
+
+  // Popularity: units sold count most, then views, then well-rated reviews
+  const popularityWrites = products.map(product => {
+    const id = product._id.toString();
+    const popularity = (unitsSold.get(id) || 0) * 3 + (views.get(id) || 0) + product.ratingCount * (product.ratingAverage / 5);
+    return {
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { popularity: Math.round(popularity * 100) / 100 } }
+      }
+    };
+  });
+
+  if (writes.length > 0) {
+    await ProductRecommendation.bulkWrite(writes, { ordered: false });
+    await Product.bulkWrite(popularityWrites, { ordered: false });
+  }
+  await ProductRecommendation.deleteMany({ product: { $nin: products.map(p => p._id) } });
+
+  console.log(`[Recommendations] Scored ${products.length} products in ${Date.now() - started}ms`);
+  return { products: products.length, pairs: viewedTogether.size + boughtTogether.size };
+}
+
+/**
+ * Run the recommendation job shortly after start-up and then every few hours.
+ * Timers don't keep the process alive; a failed run is logged and retried next time.
+ */
+export function startRecommendationJob() {
+  const run = () => computeRecommendations().catch(error => {
+    console.error('[Recommendations] Job failed:', error);
+  });
+
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, REFRESH_INTERVAL_MS).unref();
+}
+
+/**
+ * Best-selling and most viewed products in stock, optionally in one category
+ * @param {Object} options - { limit, exclude: [ids], color }
+ * @returns {Promise<Array>} - Plain products, with reasons: ['popular']
+ */
+export async function popularProducts({ limit = 4, exclude = [], color = null } = {}) {
+  const filter = { _id: { $nin: exclude }, stockCount: { $gt: 0 } };
+  if (color) {
+    filter.color = color;
+  }
+
+  const products = await Product.find(filter)
+    .sort({ popularity: -1, ratingAverage: -1, createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return products.map(p => ({ ...p, inStock: true, reasons: ['popular'] }));
+}
+
+/**
+ * Top up a list of recommendations with popular products: first from the
+ * category, then from the whole shop
+ * @param {Array} products - Recommendations so far
+ * @param {Object} options - { limit, exclude: [ids], color }
+ * @returns {Promise<Array>} - At most `limit` products
+ */
+async function fillWithPopular(products, { limit, exclude, color }) {
+  const taken = () => [...exclude, ...products.map(p => p._id)];
+
+  if (products.length < limit && color) {
+    products.push(...await popularProducts({ limit: limit - products.length, exclude: taken(), color }));
+  }
+  if (products.length < limit) {
+    products.push(...await popularProducts({ limit: limit - products.length, exclude: taken() }));
+  }
+  return products.slice(0, limit);
+}
+
+/**
+ * Products to show alongside a product, best matches first. In-stock matches come
+ * first; gaps are filled with popular products from the same category, then any.
+ * @param {Object} product - Plain product (needs _id and color)
+ * @param {Object} options - { limit, exclude: [ids] }
+ * @returns {Promise<Array>} - Plain products with inStock and reasons
+ */
+export async function relatedProducts(product, { limit = 4, exclude = [] } = {}) {
+  const stored = await ProductRecommendation.findOne({ product: product._id }, { related: 1 })
+    .populate('related.product')
+    .lean();
+
+  const skip = new Set([product._id.toString(), ...exclude.map(id => id.toString())]);
+  const matches = (stored ? stored.related : [])
+    .filter(match => match.product && !skip.has(match.product._id.toString()))
+    .map(match => ({ ...match.product, inStock: match.product.stockCount > 0, reasons: match.reasons }));
+
+  // Stable sort keeps the score order within in-stock and out-of-stock
+  matches.sort((a, b) => Number(b.inStock) - Number(a.inStock));
+
+  return fillWithPopular(matches.slice(0, limit), {
+    limit,
+    exclude: [...skip].map(id => new mongoose.Types.ObjectId(id)),
+    color: product.color
+  });
+}
+
+/**
+ * Products bought in the same orders as a product, most often first.
+ * Empty until there are orders with it; there is no fallback here.
+ * @param {string} productId - Product id
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Plain products with inStock and orders
+ */
+export async function alsoBoughtProducts(productId, { limit = 4 } = {}) {
+  const stored = await ProductRecommendation.findOne({ product: productId }, { alsoBought: 1 })
+    .populate('alsoBought.product')
+    .lean();
+
+  return (stored ? stored.alsoBought : [])
+    .filter(match => match.product)
+    .slice(0, limit)
+    .map(match => ({ ...match.product, inStock: match.product.stockCount > 0, orders: match.orders }));
+}
+
+/**
+ * Suggestions for a visitor from what they viewed and saved: the matches of those
+ * products, adding up scores for products several of them point to. Visitors
+ * without a history get the popular products.
+ * @param {string|null} visitorId - getChatUserId() identity, or null for a new visitor
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Plain products with inStock and reasons
+ */
+export async function recommendForVisitor(visitorId, { limit = 8 } = {}) {
+  let seeds = [];
+  if (visitorId) {
+    const [viewed, saved] = await Promise.all([
+      RecentlyViewed.findOne({ userId: visitorId }, { 'items.product': 1 }).lean(),
+      Wishlist.productIds(visitorId)
+    ]);
+    // The latest few views, then everything saved
+    seeds = [...new Set([
+      ...(viewed ? viewed.items.slice(0, 5).map(item => item.product.toString()) : []),
+      ...saved
+    ])];
+  }
+
+  const scores = new Map();
+  if (seeds.length > 0) {
+    const stored = await ProductRecommendation.find({ product: { $in: seeds } }, { related: 1 }).lean();
+    stored.forEach(rec => rec.related.forEach(match => {
+      const id = match.product.toString();
+      if (seeds.includes(id)) {
+        return;
+      }
+      const entry = scores.get(id) || { score: 0, reasons: match.reasons };
+      entry.score += match.score;
+      scores.set(id, entry);
+    }));
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1].score - a[1].score);
+  const found = await Product.find({
+    _id: { $in: ranked.map(([id]) => id) },
+    stockCount: { $gt: 0 }
+  }).lean();
+  const byId = new Map(found.map(p => [p._id.toString(), p]));
+
+  const products = ranked
+    .filter(([id]) => byId.has(id))
+    .slice(0, limit)
+    .map(([id, entry]) => ({ ...byId.get(id), inStock: true, reasons: entry.reasons }));
+
+  return fillWithPopular(products, {
+    limit,
+    exclude: seeds.map(id => new mongoose.Types.ObjectId(id)),
+    color: null
+  });
+}
+
+export default {
+  computeRecommendations,
+  startRecommendationJob,
+  popularProducts,
+  relatedProducts,
+  alsoBoughtProducts,
+  recommendForVisitor
+};
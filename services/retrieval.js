@@ -0,0 +1,138 @@
+import Product, { variantLabel } from '../models/Product.js';
+import Category from '../models/Category.js';
+import Promotion from '../models/Promotion.js';
+import { escapeRegex } from './search.js';
+
+/**
+ * Catalog Retrieval Service
+ *
+ * Grounds the assistant in the real catalog. Before each model call the products
+ * most relevant to the customer's message are pulled from MongoDB and handed to
+ * the model as structured context, and product names the model cites in its reply
+ * are checked against the catalog afterwards.
+ */
+
+// How many products are injected into the prompt
+const RETRIEVAL_LIMIT = 6;
+
+// The model wraps every product name it mentions in these, e.g. [[Ocean Swirl]]
+const CITATION_PATTERN = /\[\[([^\[\]]{1,100})\]\]/g;
+
+export const GROUNDING_INSTRUCTIONS = 'Only recommend products from the catalog list below or returned by the tools; if nothing fits, say we do not carry it. ' +
+  'Whenever you mention a product by name, wrap its exact name in double square brackets, like [[Ocean Swirl]].';
+
+/**
+ * Find the products most relevant to a customer message
+ * Uses the text index first, then a keyword match on names, and falls back to
+ * in-stock products so general questions ("what do you recommend?") still get real items.
+ * @param {string} message - The user's message
+ * @param {Object} options - { limit: number }
+ * @returns {Promise<Array>} - Plain product objects, with sale prices
+ */
+export async function retrieveProducts(message, { limit = RETRIEVAL_LIMIT } = {}) {
+  const words = (message.toLowerCase().match(/[a-z0-9]+/g) || []).filter(w => w.length > 2);
+  const categories = await Category.slugs();
+  const color = categories.find(c => words.includes(c));
+  const colorFilter = color ? { color } : {};
+
+  let products = [];
+
+  if (words.length > 0) {
+    products = await Product.find(
+      { ...colorFilter, $text: { $search: words.join(' ') } },
+      { score: { $meta: 'textScore' } }
+    ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean();
+  }
+
+  if (products.length === 0 && words.length > 0) {
+    const pattern = new RegExp(words.map(escapeRegex).join('|'), 'i');
+    products = await Product.find({ ...colorFilter, name: pattern }).limit(limit).lean();
+  }
+
+  if (products.length === 0) {
+    products = await Product.find({ ...colorFilter, stockCount: { $gt: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  console.log(`[Retrieval] ${products.length} products retrieved for message`);
+  return Promotion.withSalePrices(products);
+}
+
+/**
+ * Render retrieved products as a prompt section
+ * @param {Array} products - Products from retrieveProducts()
+ * @returns {string} - Context block for the system prompt
+ */
+export function formatCatalogContext(products) {
+  if (products.length === 0) {
+    return 'Catalog products relevant to this message: none found.';
+  }
+
+  const lines = products.map(p => JSON.stringify({
+    id: p._id.toString(),
+    name: p.name,
+    color: p.color,
+    ...(p.tags && p.tags.length > 0 ? { tags: p.tags } : {}),
+    price: p.price,
+    ...(p.salePrice !== undefined ? { salePrice: p.salePrice } : {}),
+    stockCount: p.stockCount,
+    ...(p.variants && p.variants.length > 0
+      ? { variants: p.variants.map(v => `${variantLabel(v)}: ${v.salePrice ?? v.price} Dh${v.salePrice !== undefined ? ` (was ${v.price} Dh)` : ''}, ${v.stockCount} in stock`) }
+      : {}),
+    ...(p.ratingCount > 0 ? { rating: `${p.ratingAverage}/5 from ${p.ratingCount} reviews` } : {}),
+    description: (p.description || '').substring(0, 120)
+  }));
+
+  return `Catalog products relevant to this message (prices in Dh):\n${lines.join('\n')}`;
+}
+
+/**
+ * Pull the product names the model cited out of its reply
+ * @param {string} text - Reply with [[Name]] markers
+ * @returns {Object} - { text: reply without markers, citations: [name] }
+ */
+export function extractCitations(text) {
+  const citations = [];
+
+  const clean = text.replace(CITATION_PATTERN, (match, name) => {
+    const trimmed = name.trim();
+    if (!citations.some(c => c.toLowerCase() === trimmed.toLowerCase())) {
+      citations.push(trimmed);
+    }
+    return trimmed;
+  });
+
+  return { text: clean, citations };
+}
+
+/**
+ * Check cited product names against the catalog
+ * @param {Array} citations - Names from extractCitations()
+ * @returns {Promise<Object>} - { grounded: [product], ungrounded: [name] }
+ */
+export async function checkCitations(citations) {
+  if (citations.length === 0) {
+    return { grounded: [], ungrounded: [] };
+  }
+
+  const products = await Product.find({
+    name: { $in: citations.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+  }).lean();
+
+  const known = new Map(products.map(p => [p.name.toLowerCase(), p]));
+
+  return {
+    grounded: citations.map(name => known.get(name.toLowerCase())).filter(Boolean),
+    ungrounded: citations.filter(name => !known.has(name.toLowerCase()))
+  };
+}
+
+export default {
+  GROUNDING_INSTRUCTIONS,
+  retrieveProducts,
+  formatCatalogContext,
+  extractCitations,
+  checkCitations
+};
@@ -0,0 +1,167 @@
+/**
+ * Search Text Helpers
+ *
+ * Small, dependency-free helpers for product search: splitting queries into
+ * terms, escaping user input for regular expressions, correcting misspelled
+ * terms against the catalog's vocabulary and highlighting matches in results.
+ */
+
+// Longest query we bother searching for
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Split a query into lowercase search terms (letters and digits only)
+ * @param {string} query - User input
+ * @returns {Array} - Unique terms
+ */
+export function tokenize(query) {
+  const words = String(query || '')
+    .substring(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)];
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring letters as one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Distance
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Find the closest known word to a possibly misspelled term
+ * Short terms allow one edit, longer ones two.
+ * @param {string} term - Search term
+ * @param {Array} vocabulary - Known lowercase words
+ * @returns {string|null} - Correction, or null if the term is known or nothing is close
+ */
+export function suggestCorrection(term, vocabulary) {
+  if (term.length < 3 || vocabulary.includes(term)) {
+    return null;
+  }
+
+  const maxDistance = term.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+
+  for (const word of vocabulary) {
+    if (Math.abs(word.length - term.length) > maxDistance) {
+      continue;
+    }
+    const distance = editDistance(term, word);
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Wrap matched search terms in <mark>, escaping everything else
+ * Words that start with a term (minus a plural "s") are marked, so "swirls" marks "Swirl".
+ * @param {string} text - Text to display
+ * @param {Array} terms - Search terms
+ * @returns {string} - Safe HTML
+ */
+export function highlight(text, terms) {
+  if (!text) {
+    return '';
+  }
+  if (!Array.isArray(terms) || terms.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const stems = terms
+    .map(term => (term.length > 3 ? term.replace(/s$/, '') : term))
+    .map(escapeRegex);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  let html = '';
+  let last = 0;
+
+  for (const match of String(text).matchAll(pattern)) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Cut a passage of text around the first search term it contains
+ * @param {string} text - Full text, e.g. a product description
+ * @param {Array} terms - Search terms
+ * @param {number} length - Maximum passage length
+ * @returns {string} - Passage with ellipses where it was cut, or '' if no term appears
+ */
+export function excerpt(text, terms, length = 120) {
+  if (!text || !Array.isArray(terms) || terms.length === 0) {
+    return '';
+  }
+
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(i => i !== -1);
+  if (positions.length === 0) {
+    return '';
+  }
+
+  const start = Math.max(0, Math.min(...positions) - Math.floor(length / 3));
+  const end = Math.min(text.length, start + length);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+export default {
+  escapeRegex,
+  escapeHtml,
+  tokenize,
+  editDistance,
+  suggestCorrection,
+  highlight,
+  excerpt
+};
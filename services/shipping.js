@@ -0,0 +1,131 @@
+import { toCentimes, toDh } from './money.js';
+
+/**
+ * Shipping and TVA
+ *
+ * Works out delivery costs from a shipping zone (see models/ShippingZone.js)
+ * and the TVA included in a total. No database access here: callers pass the
+ * zone in. Everything is computed in centimes (see ./money.js).
+ *
+ * Zones charge a base rate that covers the first few kilos or items, plus an
+ * extra rate for each further started kilo or item. Orders whose goods reach
+ * the zone's threshold ship free; cash on delivery adds the zone's fee.
+ * Shop prices include TVA, so the TVA shown is the part of the total that is tax.
+ */
+
+// Moroccan standard TVA rate, in percent
+export const TVA_RATE = Number(process.env.TVA_RATE ?? 20);
+
+/**
+ * Normalize a city or country name for matching: lowercase, no accents or extra spaces
+ * @param {string} text - Name as typed
+ * @returns {string} - Normalized name
+ */
+export function normalizePlace(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a zone delivers to an address: zones without countries or cities
+ * accept any, otherwise the address must be in one of those listed
+ * @param {Object} zone - Shipping zone
+ * @param {Object} address - { city, country }
+ * @returns {boolean}
+ */
+export function zoneCovers(zone, address) {
+  const country = normalizePlace(address.country);
+  const city = normalizePlace(address.city);
+  const countries = (zone.countries || []).map(normalizePlace);
+  const cities = (zone.cities || []).map(normalizePlace);
+  return (countries.length === 0 || countries.includes(country)) &&
+    (cities.length === 0 || cities.includes(city));
+}
+
+/**
+ * Delivery cost of a cart in a zone
+ * @param {Object} zone - Shipping zone
+ * @param {Object} parcel - { goods (centimes, after discounts), weight (grams), itemCount }
+ * @returns {Object} - { cost (centimes), free, freeShippingRemaining (centimes, or null) }
+ */
+export function shippingCost(zone, { goods, weight, itemCount }) {
+  const threshold = zone.freeShippingThreshold ? toCentimes(zone.freeShippingThreshold) : null;
+  if (threshold !== null && goods >= threshold) {
+    return { cost: 0, free: true, freeShippingRemaining: null };
+  }
+
+  // Extra kilos are counted per started kilo beyond those included
+  const extraUnits = zone.rateBasis === 'weight'
+    ? Math.max(0, Math.ceil((weight - zone.includedUnits * 1000) / 1000))
+    : Math.max(0, Math.ceil(itemCount - zone.includedUnits));
+
+  return {
+    cost: toCentimes(zone.baseRate) + extraUnits * toCentimes(zone.extraRate),
+    free: false,
+    freeShippingRemaining: threshold !== null ? threshold - goods : null
+  };
+}
+
+/**
+ * TVA included in a tax-inclusive amount
+ * @param {number} centimes - Amount including TVA
+ * @param {number} rate - TVA rate in percent
+ * @returns {number} - TVA in centimes
+ */
+export function includedTva(centimes, rate = TVA_RATE) {
+  return centimes - Math.round(centimes * 100 / (100 + rate));
+}
+
+/**
+ * Add delivery, the cash-on-delivery fee and TVA to a priced cart (see pricing.js)
+ * Without a zone (no address yet) only the goods are totalled.
+ * @param {Object} cart - Priced cart, with total after discounts and weight in grams
+ * @param {Object|null} zone - Shipping zone for the delivery address
+ * @param {Object} options - { paymentMethod }
+ * @returns {Object} - The cart with goodsTotal, shipping ({ zone, name, deliveryTime,
+ *   cost, free, codFee, weight, freeShippingRemaining } or null), taxRate, taxTotal
+ *   and the new total, all in Dh
+ */
+export function checkoutTotals(cart, zone, { paymentMethod = 'cash-on-delivery' } = {}) {
+  const goods = toCentimes(cart.total);
+  let shipping = null;
+  let total = goods;
+
+  if (zone) {
+    const { cost, free, freeShippingRemaining } = shippingCost(zone, { goods, weight: cart.weight, itemCount: cart.itemCount });
+    const codFee = paymentMethod === 'cash-on-delivery' ? toCentimes(zone.codFee) : 0;
+    total += cost + codFee;
+    shipping = {
+      zone: zone._id,
+      name: zone.name,
+      deliveryTime: zone.deliveryTime || '',
+      cost: toDh(cost),
+      free,
+      codFee: toDh(codFee),
+      weight: cart.weight,
+      freeShippingRemaining: freeShippingRemaining === null ? null : toDh(freeShippingRemaining)
+    };
+  }
+
+  return {
+    ...cart,
+    goodsTotal: cart.total,
+    shipping,
+    taxRate: TVA_RATE,
+    taxTotal: toDh(includedTva(total)),
+    total: toDh(total)
+  };
+}
+
+export default {
+  TVA_RATE,
+  normalizePlace,
+  zoneCovers,
+  shippingCost,
+  includedTva,
+  checkoutTotals
+};
@@ -0,0 +1,80 @@
+import Cart from '../models/Cart.js';
+import Conversation from '../models/Conversation.js';
+import Order from '../models/Order.js';
+import Wishlist from '../models/Wishlist.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+
+/**
+ * Sign-in Hooks
+ *
+ * Guests get a session id like "guest_123..." (see getChatUserId) that owns their
+ * cart, chat threads and so on. When they sign in, everything keyed by that id
+ * is moved into their account by the hooks registered here, so features with
+ * per-guest data only need to register one function.
+ */
+
+const hooks = [];
+
+/**
+ * Register a function to run when a guest signs in
+ * @param {string} name - Label for logs
+ * @param {Function} fn - async ({ guestId, userId, session }) => void
+ */
+export function registerSignInHook(name, fn) {
+  hooks.push({ name, fn });
+}
+
+/**
+ * Move a guest's data into the account they just signed in to
+ * Each hook runs on its own: one failing is logged and doesn't block sign-in or the others.
+ * @param {Object} session - The express session, with userId already set
+ * @returns {Promise<Array>} - Names of the hooks that failed
+ */
+export async function runSignInHooks(session) {
+  const guestId = session.guestChatId;
+  const userId = session.userId;
+
+  if (!guestId || !userId) {
+    return [];
+  }
+
+  const failed = [];
+
+  for (const hook of hooks) {
+    try {
+      await hook.fn({ guestId, userId, session });
+    } catch (error) {
+      console.error(`[SignIn] ${hook.name} hook failed for ${guestId} -> ${userId}:`, error);
+      failed.push(hook.name);
+    }
+  }
+
+  // The guest id is spent; a later sign-out starts a fresh guest.
+  // After a failure it is kept so signing in again in this session retries.
+  if (failed.length === 0) {
+    delete session.guestChatId;
+    console.log(`[SignIn] Guest data of ${guestId} moved to ${userId}`);
+  }
+
+  return failed;
+}
+
+// Guest cart lines are added to the account's cart, capped at stock
+registerSignInHook('cart', ({ guestId, userId }) => Cart.mergeGuestCart(guestId, userId));
+
+// Orders placed as a guest join the account's order history
+registerSignInHook('orders', ({ guestId, userId }) => Order.moveToUser(guestId, userId));
+
+// Guest chat threads join the account's threads
+registerSignInHook('conversations', ({ guestId, userId }) => Conversation.moveToUser(guestId, userId));
+
+// Guest wishlist products are added to the account's wishlist
+registerSignInHook('wishlist', ({ guestId, userId }) => Wishlist.mergeGuestWishlist(guestId, userId));
+
+// Products viewed as a guest join the account's recently viewed list
+registerSignInHook('recentlyViewed', ({ guestId, userId }) => RecentlyViewed.mergeGuestHistory(guestId, userId));
+
+export default {
+  registerSignInHook,
+  runSignInHooks
+};
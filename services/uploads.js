@@ -0,0 +1,109 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * Uploaded Files
+ *
+ * Product pictures are stored in public/uploads and referenced by URL
+ * (/uploads/<file>). Pictures processed on upload (see ./images.js) are named
+ * img-<id>.<ext> and have WebP copies at several widths next to them, named
+ * img-<id>-<width>w.webp. Files are removed here when the picture using them is
+ * deleted or replaced, so the folder doesn't fill with orphans.
+ */
+
+// ES Module __dirname equivalent
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const UPLOADS_DIR = path.resolve(__dirname, '../public/uploads');
+
+const UPLOADS_URL = '/uploads/';
+
+// Widths of the WebP copies made for each processed picture: thumbnail, catalog card, full size
+export const IMAGE_WIDTHS = { thumb: 160, card: 480, full: 1200 };
+
+// Processed pictures: img-<id>.<ext>
+const PROCESSED_PATTERN = /^\/uploads\/(img-[a-z0-9-]+)\.(jpg|png|gif|webp)$/;
+
+// Ensure uploads directory exists
+if (!fs.existsSync(UPLOADS_DIR)) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+
+/**
+ * Public URL of a file multer saved
+ * @param {Object} file - Multer file
+ * @returns {string} - URL like /uploads/product-123.jpg
+ */
+export function uploadUrl(file) {
+  return UPLOADS_URL + file.filename;
+}
+
+/**
+ * WebP copies of a processed picture, smallest first
+ * @param {string} url - Picture URL
+ * @returns {Array} - [{ width, url }], empty for pictures uploaded before processing existed
+ */
+export function derivedImages(url) {
+  const match = typeof url === 'string' ? url.match(PROCESSED_PATTERN) : null;
+  if (!match) {
+    return [];
+  }
+  return Object.values(IMAGE_WIDTHS).map(width => ({ width, url: `${UPLOADS_URL}${match[1]}-${width}w.webp` }));
+}
+
+/**
+ * Build a srcset attribute value for a picture's WebP copies
+ * @param {string} url - Picture URL
+ * @returns {string} - e.g. "/uploads/img-1-160w.webp 160w, ...", or '' if it has none
+ */
+export function imageSrcset(url) {
+  return derivedImages(url).map(image => `${image.url} ${image.width}w`).join(', ');
+}
+
+/**
+ * Delete uploaded files by URL, with their WebP copies
+ * Only plain file names under /uploads/ are touched; anything else (external URLs,
+ * paths with directories) is ignored. Missing files are not an error.
+ * @param {Array} urls - Image URLs
+ * @returns {Promise<number>} - Number of files deleted
+ */
+export async function deleteUploads(urls) {
+  let deleted = 0;
+  const all = urls.flatMap(url => [url, ...derivedImages(url).map(image => image.url)]);
+
+  for (const url of all) {
+    if (typeof url !== 'string' || !url.startsWith(UPLOADS_URL)) {
+      continue;
+    }
+
+    const name = url.slice(UPLOADS_URL.length);
+    if (!name || name !== path.basename(name)) {
+      continue;
+    }
+
+    try {
+      await fs.promises.unlink(path.join(UPLOADS_DIR, name));
+      deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Uploads] Failed to delete', url, error.message);
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`[Uploads] Deleted ${deleted} file(s)`);
+  }
+  return deleted;
+}
+
+export default {
+  UPLOADS_DIR,
+  IMAGE_WIDTHS,
+  uploadUrl,
+  derivedImages,
+  imageSrcset,
+  deleteUploads
+};
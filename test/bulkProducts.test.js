@@ -0,0 +1,74 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { planImport } from '../services/bulkProducts.js';
+
+// No database here: the catalog is an in-memory list of products
+let catalog;
+const originals = [];
+
+/**
+ * Replace a model method for one test, restored afterwards
+ */
+function stub(target, name, fn) {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+}
+
+/**
+ * Whether a stored value matches one $in entry (a value or a regex)
+ */
+function matchesIn(value, list) {
+  return list.some(entry => entry instanceof RegExp ? entry.test(value) : entry === value);
+}
+
+beforeEach(() => {
+  catalog = [
+    Product.hydrate({ _id: '665f1c2e8a4b2c0012345601', name: 'Ocean Swirl', color: 'blue', price: 10, stockCount: 5, inStock: true, images: [], variants: [], tags: [] })
+  ];
+
+  stub(Product, 'find', async (filter) => catalog.filter(product => filter.$or.some(condition =>
+    (condition.slug && matchesIn(product.slug, condition.slug.$in)) ||
+    (condition.name && matchesIn(product.name, condition.name.$in)) ||
+    (condition['variants.sku'] && product.variants.some(v => matchesIn(v.sku, condition['variants.sku'].$in))))));
+  stub(Product, 'exists', async () => null);
+  stub(Category, 'listAll', async () => [{ slug: 'blue', name: 'Blue' }]);
+  stub(Category, 'exists', async () => ({ _id: 'blue' }));
+});
+
+afterEach(() => {
+  while (originals.length > 0) {
+    const [target, name, fn] = originals.pop();
+    target[name] = fn;
+  }
+});
+
+test('a row without a slug updates the product with its name, whatever the case', async () => {
+  const { summary, groups } = await planImport({ format: 'csv', text: 'name,price\nocean swirl,12\n' });
+
+  assert.deepEqual(summary, { create: 0, update: 1, unchanged: 0, error: 0 });
+  assert.equal(groups[0].product, catalog[0]);
+  assert.equal(catalog[0].price, 12);
+});
+
+test('a row naming a product that predates slugs updates it rather than creating a copy', async () => {
+  const { summary } = await planImport({ format: 'csv', text: 'name,price\nOcean Swirl,10\n' });
+
+  assert.equal(summary.create, 0);
+});
+
+test('a row with a new name creates a product', async () => {
+  const { summary } = await planImport({ format: 'csv', text: 'name,category,price\nRuby Glow,blue,4\n' });
+
+  assert.deepEqual(summary, { create: 1, update: 0, unchanged: 0, error: 0 });
+});
+
+test('a name shared by several products needs a slug', async () => {
+  catalog.push(Product.hydrate({ ...catalog[0].toObject(), _id: '665f1c2e8a4b2c0012345602', name: 'OCEAN SWIRL' }));
+
+  const { summary, groups } = await planImport({ format: 'csv', text: 'name,price\nOcean swirl,12\n' });
+
+  assert.equal(summary.error, 1);
+  assert.match(groups[0].errors[0], /2 products are named/);
+});
@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Cart from '../models/Cart.js';
+import Conversation from '../models/Conversation.js';
+import ConversationArchive from '../models/ConversationArchive.js';
+import Order from '../models/Order.js';
+import Wishlist from '../models/Wishlist.js';
+import RecentlyViewed from '../models/RecentlyViewed.js';
+import { runSignInHooks } from '../services/signin.js';
+
+// No database here: the models' queries are swapped for an in-memory store
+const GUEST_ID = 'guest_123';
+const USER_ID = 'user@example.com';
+
+let conversations;
+let archives;
+let orders;
+let cartMerges;
+const originals = [];
+
+/**
+ * Replace a model method for one test, restored afterwards
+ */
+function stub(target, name, fn) {
+  originals.push([target, name, target[name]]);
+  target[name] = fn;
+}
+
+beforeEach(() => {
+  conversations = [
+    { _id: 'c1', userId: GUEST_ID, messages: [{ role: 'user', content: 'Do you have red marbles?' }] },
+    { _id: 'c2', userId: GUEST_ID, messages: [{ role: 'assistant', content: 'Hello!' }] },
+    { _id: 'c3', userId: 'someone_else', messages: [{ role: 'user', content: 'Hi' }] }
+  ];
+  archives = [
+    { conversationId: 'c1', userId: GUEST_ID },
+    { conversationId: 'c3', userId: 'someone_else' }
+  ];
+  orders = [
+    { _id: 'o1', userId: GUEST_ID },
+    { _id: 'o2', userId: 'someone_else' }
+  ];
+  cartMerges = [];
+
+  stub(Cart, 'mergeGuestCart', async (guestId, userId) => {
+    cartMerges.push([guestId, userId]);
+  });
+  stub(Conversation, 'deleteMany', async (filter) => {
+    const before = conversations.length;
+    conversations = conversations.filter(c => !(c.userId === filter.userId && !c.messages.some(m => m.role === 'user')));
+    return { deletedCount: before - conversations.length };
+  });
+  stub(Conversation, 'updateMany', async (filter, update) => {
+    const matched = conversations.filter(c => c.userId === filter.userId);
+    matched.forEach(c => Object.assign(c, update.$set));
+    return { modifiedCount: matched.length };
+  });
+  stub(ConversationArchive, 'updateMany', async (filter, update) => {
+    const matched = archives.filter(a => a.userId === filter.userId);
+    matched.forEach(a => Object.assign(a, update.$set));
+    return { modifiedCount: matched.length };
+  });
+  stub(Order, 'updateMany', async (filter, update) => {
+    const matched = orders.filter(o => o.userId === filter.userId);
+    matched.forEach(o => Object.assign(o, update.$set));
+    return { modifiedCount: matched.length };
+  });
+  stub(Wishlist, 'mergeGuestWishlist', async () => {});
+  stub(RecentlyViewed, 'mergeGuestHistory', async () => {});
+});
+
+afterEach(() => {
+  while (originals.length > 0) {
+    const [target, name, fn] = originals.pop();
+    target[name] = fn;
+  }
+});
+
+test('a guest chat survives sign-in', async () => {
+  const session = { guestChatId: GUEST_ID, userId: USER_ID };
+
+  const failed = await runSignInHooks(session);
+
+  assert.deepEqual(failed, []);
+  assert.equal(conversations.find(c => c._id === 'c1').userId, USER_ID);
+  assert.equal(session.guestChatId, undefined);
+});
+
+test('empty guest threads are dropped and other visitors are left alone', async () => {
+  await runSignInHooks({ guestChatId: GUEST_ID, userId: USER_ID });
+
+  assert.deepEqual(conversations.map(c => [c._id, c.userId]), [['c1', USER_ID], ['c3', 'someone_else']]);
+});
+
+test('archived messages of guest threads move with them', async () => {
+  await runSignInHooks({ guestChatId: GUEST_ID, userId: USER_ID });
+
+  assert.deepEqual(archives.map(a => [a.conversationId, a.userId]), [['c1', USER_ID], ['c3', 'someone_else']]);
+});
+
+test('the guest cart is merged into the account', async () => {
+  await runSignInHooks({ guestChatId: GUEST_ID, userId: USER_ID });
+
+  assert.deepEqual(cartMerges, [[GUEST_ID, USER_ID]]);
+});
+
+test('orders placed as a guest move to the account', async () => {
+  await runSignInHooks({ guestChatId: GUEST_ID, userId: USER_ID });
+
+  assert.deepEqual(orders.map(o => [o._id, o.userId]), [['o1', USER_ID], ['o2', 'someone_else']]);
+});
+
+test('a failing hook keeps the guest id so signing in again retries', async () => {
+  stub(Cart, 'mergeGuestCart', async () => {
+    throw new Error('database down');
+  });
+  const session = { guestChatId: GUEST_ID, userId: USER_ID };
+
+  const failed = await runSignInHooks(session);
+
+  assert.deepEqual(failed, ['cart']);
+  assert.equal(session.guestChatId, GUEST_ID);
+  // The other hooks still ran
+  assert.equal(conversations.find(c => c._id === 'c1').userId, USER_ID);
+});
+
+test('nothing runs without a guest id', async () => {
+  const failed = await runSignInHooks({ userId: USER_ID });
+
+  assert.deepEqual(failed, []);
+  assert.deepEqual(cartMerges, []);
+});